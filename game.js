@@ -5,24 +5,158 @@
 
 (function() { // Wrap in IIFE to protect scope
 
+const { Vector, Random, Simulation, buildSystem, Prediction, osculatingOrbit, burnTicks, burnStart, maneuverInput, flareState, BODY_COLORS, PHYSICS_VERSION } = window.MarsSim;
+const { I18n, LOCALES, detectLocale } = window.MarsI18n;
+const t = (key, params) => I18n.t(key, params);
+
 // ===================================
 // 1. DATA & CONFIGURATION
 // ===================================
 
+// Built-in copy of levels.json, used when the file can't be fetched (offline / file://).
+// Keep the two in sync.
 const LEVELS_DATA = {
     levels: [
-        { id: 1, name: "Level 1", asteroidCount: 3, asteroidMinSize: 15, asteroidMaxSize: 25 },
-        { id: 2, name: "Level 2", asteroidCount: 8, asteroidMinSize: 15, asteroidMaxSize: 30 },
+        { id: 1, name: "Level 1", asteroidCount: 3, asteroidMinSize: 15, asteroidMaxSize: 25, difficulty: "easy", description: "Learn the basics of orbital mechanics", stars: [200, 260] },
+        { id: 2, name: "Level 2", asteroidCount: 8, asteroidMinSize: 15, asteroidMaxSize: 30, difficulty: "medium", description: "Avoid more obstacles on your journey", stars: [250, 330] },
         // Reduced sizes for Level 3 & 4 as requested
-        { id: 3, name: "Level 3", asteroidCount: 14, asteroidMinSize: 18, asteroidMaxSize: 28 }, 
-        { id: 4, name: "Level 4", asteroidCount: 20, asteroidMinSize: 20, asteroidMaxSize: 32 }
+        { id: 3, name: "Level 3", asteroidCount: 14, asteroidMinSize: 18, asteroidMaxSize: 28, difficulty: "hard", description: "Navigate through dense asteroid fields", stars: [300, 400], insertion: { maxLandingSpeed: 3, captureTicks: 120, captureRadius: 50 } },
+        { id: 4, name: "Level 4", asteroidCount: 20, asteroidMinSize: 20, asteroidMaxSize: 32, difficulty: "extreme", description: "The ultimate test of your piloting skills", stars: [400, 530], insertion: { maxLandingSpeed: 2, captureTicks: 180, captureRadius: 50 } },
+        { id: 5, name: "Level 5", asteroidCount: 10, asteroidMinSize: 15, asteroidMaxSize: 25, difficulty: "hard", description: "Grand tour: swing past Saturn and refuel on the way", stars: [380, 480], mission: { objectives: [{ type: "flyby", body: "saturn", distance: 60 }, { type: "collect", count: 2, pickups: [{ parent: "sun", orbitRadius: 330, orbitSpeed: 0.002, startAngle: 2.4, fuel: 30 }, { parent: "sun", orbitRadius: 330, orbitSpeed: 0.002, startAngle: 3.6, fuel: 30 }, { parent: "sun", orbitRadius: 330, orbitSpeed: 0.002, startAngle: 5.2, fuel: 30 }] }, { type: "land", minFuel: 0.25 }] } },
+        { id: 6, name: "Level 6", asteroidCount: 8, asteroidMinSize: 15, asteroidMaxSize: 25, difficulty: "extreme", description: "Round trip: fly the gates around the Sun and come home", stars: [420, 540], mission: { objectives: [{ type: "gates", timeLimit: 40, gates: [{ x: 0, y: 320 }, { x: -320, y: 0 }, { x: 0, y: -320 }] }, { type: "land", body: "earth" }] } },
+        { id: 7, name: "Level 7", asteroidCount: 6, asteroidMinSize: 15, asteroidMaxSize: 25, difficulty: "hard", description: "Comet season: dodge the comet's tail and the Sun's flares, or take the wormhole", stars: [400, 520], layout: { bodies: [{ id: "sun", type: "sun", mass: 5000, radius: 30, color: "#ffd700", flare: { every: 10, warning: 2, duration: 1.5, width: 0.7, push: 0.2, range: 300 } }, { id: "earth", type: "target_start", mass: 100, radius: 10, color: "#4facfe", parent: "sun", orbitRadius: 176, orbitSpeed: 0.005, startAngle: 0 }, { id: "mars", type: "target_end", mass: 80, radius: 9, color: "#ff5e62", parent: "sun", orbitRadius: 340, orbitSpeed: 0.0025, startAngle: 3.14159 }, { id: "comet", type: "comet", mass: 1, radius: 5, parent: "sun", periapsis: 100, apoapsis: 420, argument: 1.2, startAngle: 3, orbitSpeed: 0.006, tail: 70 }, { id: "gate_a", type: "wormhole", mass: 0, radius: 10, x: 0, y: 213, link: "gate_b" }, { id: "gate_b", type: "wormhole", mass: 0, radius: 8, x: -285, y: -110, link: "gate_a" }], belts: [{ parent: "sun", innerRadius: 240, outerRadius: 270, mass: 20, color: "#777", minSpeed: 0.002, maxSpeed: 0.006, bidirectional: true }] } },
+        { id: 8, name: "Level 8", asteroidCount: 8, asteroidMinSize: 15, asteroidMaxSize: 25, difficulty: "extreme", description: "Event horizon: a black hole bends the starlight and nothing that falls in comes back", stars: [420, 540], layout: { bodies: [{ id: "hole", type: "blackhole", mass: 5000, radius: 12 }, { id: "earth", type: "target_start", mass: 100, radius: 10, color: "#4facfe", parent: "hole", orbitRadius: 176, orbitSpeed: 0.005, startAngle: 0 }, { id: "moon", type: "moon", mass: 10, radius: 3, color: "#ccc", parent: "earth", orbitRadius: 25, orbitSpeed: 0.08 }, { id: "mars", type: "target_end", mass: 80, radius: 9, color: "#ff5e62", parent: "hole", orbitRadius: 320, orbitSpeed: 0.003, startAngle: 2.4 }, { id: "comet", type: "comet", mass: 1, radius: 5, parent: "hole", periapsis: 60, apoapsis: 400, argument: 4, startAngle: 2, orbitSpeed: 0.007, tail: 60 }], belts: [{ parent: "hole", innerRadius: 226, outerRadius: 260, mass: 20, color: "#777", minSpeed: 0.002, maxSpeed: 0.006, bidirectional: true }] } }
     ],
     upgrades: {
-        fuel: { baseCost: 50, name: "Fuel Tank", maxLevel: 5, costMultiplier: 1.5 },
-        thrust: { baseCost: 80, name: "Ion Engine", maxLevel: 5, costMultiplier: 1.5 },
-        launch: { baseCost: 60, name: "Catapult", maxLevel: 5, costMultiplier: 1.5 }
+        fuel: { baseCost: 50, name: "Fuel Tank", maxLevel: 5, costMultiplier: 1.5, description: "Increases fuel capacity per level" },
+        thrust: { baseCost: 80, name: "Ion Engine", maxLevel: 5, costMultiplier: 1.5, description: "Increases thrust power per level" },
+        launch: { baseCost: 60, name: "Catapult", maxLevel: 5, costMultiplier: 1.5, description: "Increases launch force per level" },
+        efficiency: { baseCost: 70, name: "Fuel Injector", maxLevel: 4, costMultiplier: 1.6, description: "Burns less fuel for the same thrust", requires: { fuel: 2 } },
+        heatShield: { baseCost: 120, name: "Heat Shield", maxLevel: 3, costMultiplier: 2, description: "Bounce off one collision per charge (not the Sun or a black hole)", requires: { thrust: 2 } },
+        rcs: { baseCost: 150, name: "RCS Thrusters", maxLevel: 2, costMultiplier: 1.5, description: "Thrust in any direction without turning the ship", requires: { thrust: 3 } },
+        landingAssist: { baseCost: 100, name: "Landing Assist", maxLevel: 3, costMultiplier: 1.5, description: "Widens the landing zone around Mars", requires: { launch: 2 } }
+    },
+    // Used by every level that doesn't declare its own "layout".
+    // Positions, orbits and radii are world units; the camera fits 800 of them on the shorter screen side.
+    defaultLayout: {
+        bodies: [
+            { id: "sun", type: "sun", mass: 5000, radius: 30, color: "#ffd700" },
+            { id: "earth", type: "target_start", mass: 100, radius: 10, color: "#4facfe", parent: "sun", orbitRadius: 176, orbitSpeed: 0.005, startAngle: 0 },
+            { id: "moon", type: "moon", mass: 10, radius: 3, color: "#ccc", parent: "earth", orbitRadius: 25, orbitSpeed: 0.08 },
+            { id: "mars", type: "target_end", mass: 80, radius: 9, color: "#ff5e62", parent: "sun", orbitRadius: 280, orbitSpeed: 0.003, startAngle: 3.14159 },
+            { id: "saturn", type: "saturn", mass: 200, radius: 18, color: "#f4d03f", parent: "sun", orbitRadius: 384, orbitSpeed: 0.001, startAngle: 1.5708 }
+        ],
+        belts: [
+            { parent: "saturn", count: 12, innerRadius: 30, outerRadius: 40, minSize: 2, maxSize: 2, mass: 5, color: "#8d6e63", minSpeed: 0.05, maxSpeed: 0.07, spacing: "even" },
+            // No count/sizes: taken from the level's asteroidCount/asteroidMinSize/asteroidMaxSize
+            { parent: "sun", innerRadius: 206, outerRadius: 250, mass: 20, color: "#777", minSpeed: 0.002, maxSpeed: 0.006, bidirectional: true }
+        ]
+    }
+};
+
+const DIFFICULTIES = ['easy', 'medium', 'hard', 'extreme'];
+// "scripted": bodies follow fixed circular tracks. "nbody": they start on those tracks (or with
+// their vx/vy) and then move under each other's gravity.
+const DYNAMICS = ['scripted', 'nbody'];
+// How the ship is flown: "pointer" (mouse/touch), "keyboard" or "gamepad". Steering "aim"
+// thrusts toward the pointer or stick; "rotate" turns the ship and burns along its nose.
+const CONTROL_SCHEMES = ['pointer', 'keyboard', 'gamepad'];
+const STEERING_MODES = ['aim', 'rotate'];
+// Planet [highlight, shade] gradient stops for _drawPlanet and the glow/trail colour, by body
+// type; anything missing falls back to "planet" and the body's own colour. "safe" uses the
+// Okabe-Ito hues, which stay apart under red-green and blue-yellow colour blindness.
+const PALETTES = {
+    standard: {
+        gradients: {
+            sun: ['#fff', '#ff8800'], target_start: ['#88ccff', '#0055aa'], target_end: ['#ff8888', '#aa2222'],
+            saturn: ['#f4d03f', '#b7950b'], moon: ['#ddd', '#888'], planet: ['#aaa', '#555']
+        },
+        colors: {}
+    },
+    safe: {
+        gradients: {
+            sun: ['#fff', '#f0e442'], target_start: ['#9ad4f5', '#0072b2'], target_end: ['#f5b888', '#d55e00'],
+            saturn: ['#f0cfe2', '#cc79a7'], moon: ['#ddd', '#888'], planet: ['#aaa', '#555']
+        },
+        colors: { sun: '#f0e442', target_start: '#56b4e9', target_end: '#d55e00', saturn: '#cc79a7' }
     }
 };
+// Dialogs that take keyboard focus while open (see UIManager.showModal).
+const MODALS = ['pauseMenu', 'storeModal', 'settingsModal', 'message'];
+// Mission objectives a level can chain in its "mission": fly by a body, collect fuel pickups,
+// pass checkpoint gates in order (optionally against the clock) and land on a body.
+const MISSION_OBJECTIVES = ['flyby', 'collect', 'gates', 'land'];
+const DIFFICULTY_MULTIPLIERS = { easy: 1, medium: 1.25, hard: 1.5, extreme: 2 };
+const REQUIRED_UPGRADES = ['fuel', 'thrust', 'launch'];
+
+// What each upgrade does at a given level (1 = not bought yet). getStats() and the store
+// both read from here so the shop always describes the real effect.
+const UPGRADE_EFFECTS = {
+    fuel: { value: (l) => 100 + (l - 1) * 30, label: (v) => t('effect.fuel', { value: v }) },
+    thrust: { value: (l) => 0.1 + (l - 1) * 0.025, label: (v) => t('effect.thrust', { value: v * 100 }) },
+    launch: { value: (l) => 5 + (l - 1), label: (v) => t('effect.launch', { value: v }) },
+    efficiency: { value: (l) => 0.5 * (1 - (l - 1) * 0.12), label: (v) => t('effect.efficiency', { value: v }) },
+    heatShield: { value: (l) => l - 1, label: (v) => (v > 0 ? t('effect.shield', { count: v }) : t('effect.noShield')) },
+    rcs: { value: (l) => l > 1, label: (v) => t(v ? 'effect.rcs' : 'effect.noRcs') },
+    landingAssist: { value: (l) => (l - 1) * 8, label: (v) => (v > 0 ? t('effect.landing', { value: v }) : t('effect.noLanding')) }
+};
+// Hazards: comets fly an ellipse (periapsis, apoapsis, argument) and their tail wrecks the
+// rocket, a black hole's radius is an event horizon no shield survives, and a wormhole sends
+// the rocket out of the mouth it links to. Any body can carry a solar "flare" schedule.
+const BODY_TYPES = ['sun', 'planet', 'moon', 'saturn', 'target_start', 'target_end', 'obstacle', 'comet', 'blackhole', 'wormhole'];
+const LAYOUT_REFERENCE_SIZE = 800;
+
+// What the level editor places for each tool. Bodies pick the nearest fitting parent.
+const EDITOR_TEMPLATES = {
+    sun: { type: 'sun', mass: 5000, radius: 30 },
+    planet: { type: 'planet', mass: 100, radius: 10, orbitSpeed: 0.004, parentTypes: ['sun'] },
+    moon: { type: 'moon', mass: 10, radius: 3, orbitSpeed: 0.06, parentTypes: ['planet', 'saturn', 'target_start', 'target_end'] },
+    belt: { count: 8, minSize: 15, maxSize: 25, mass: 20, minSpeed: 0.002, maxSpeed: 0.006, bidirectional: true, width: 40, parentTypes: ['sun'] }
+};
+
+// Inspector fields. Empty number fields remove the key, so optional values fall back to defaults.
+const EDITOR_FIELDS = {
+    body: [
+        { key: 'id', type: 'text' },
+        { key: 'type', type: 'select', options: () => BODY_TYPES.filter(type => type !== 'obstacle') },
+        { key: 'parent', type: 'select', options: (editor, spec) => ['', ...editor.parentIds(spec)] },
+        { key: 'mass', type: 'number', step: 1 },
+        { key: 'radius', type: 'number', step: 1 },
+        { key: 'color', type: 'text' },
+        { key: 'orbitRadius', type: 'number', step: 1 },
+        { key: 'orbitSpeed', type: 'number', step: 0.001 },
+        { key: 'startAngle', type: 'number', step: 0.1 },
+        { key: 'x', type: 'number', step: 1 },
+        { key: 'y', type: 'number', step: 1 },
+        { key: 'vx', type: 'number', step: 0.1 },
+        { key: 'vy', type: 'number', step: 0.1 },
+        { key: 'periapsis', type: 'number', step: 1, types: ['comet'] },
+        { key: 'apoapsis', type: 'number', step: 1, types: ['comet'] },
+        { key: 'argument', type: 'number', step: 0.1, types: ['comet'] },
+        { key: 'tail', type: 'number', step: 1, types: ['comet'] },
+        { key: 'link', type: 'select', options: (editor, spec) => ['', ...editor.level.layout.bodies.filter(b => b.type === 'wormhole' && b !== spec).map(b => b.id)], types: ['wormhole'] }
+    ],
+    belt: [
+        { key: 'parent', type: 'select', options: (editor) => ['', ...editor.level.layout.bodies.map(b => b.id)] },
+        { key: 'count', type: 'number', step: 1 },
+        { key: 'innerRadius', type: 'number', step: 1 },
+        { key: 'outerRadius', type: 'number', step: 1 },
+        { key: 'minSize', type: 'number', step: 1 },
+        { key: 'maxSize', type: 'number', step: 1 },
+        { key: 'mass', type: 'number', step: 1 },
+        { key: 'minSpeed', type: 'number', step: 0.001 },
+        { key: 'maxSpeed', type: 'number', step: 0.001 },
+        { key: 'spacing', type: 'select', options: () => ['random', 'even'] },
+        { key: 'bidirectional', type: 'checkbox' },
+        { key: 'color', type: 'text' }
+    ],
+    level: [
+        { key: 'name', type: 'text' },
+        { key: 'difficulty', type: 'select', options: () => DIFFICULTIES },
+        { key: 'dynamics', type: 'select', options: () => DYNAMICS },
+        { key: 'description', type: 'text' }
+    ]
+};
 
 const GameConfig = {
     SUN_MASS: 5000,
@@ -32,14 +166,63 @@ const GameConfig = {
     MOON_MASS: 10,
     G_BASE: 0.28, 
     MAX_INPUT_DIST: 300,
+    LOST_DISTANCE: 2000,
     ROCKET_TRAIL_LIMIT: 600,
     BODY_TRAIL_LIMIT: 60,
     COLLISION_PADDING: 15, 
     COLLISION_MIN_DIST: 10,
     LANDING_REWARD: 100,
-    MAX_DISTANCE_SCORE: 50
+    MAX_DISTANCE_SCORE: 50,
+    FUEL_BONUS: 100,
+    TIME_BONUS: 100,
+    TIME_BONUS_TICKS: 3600,
+    PRECISION_BONUS: 100,
+    PRECISION_MAX_SPEED: 6,
+    ASSIST_BONUS: 30,          // coins per gravity assist...
+    ASSIST_DV_BONUS: 100,      // ...plus this much per unit of speed it gained
+    OBJECTIVE_BONUS: 40,       // per mission objective on a completed mission
+    FLYBY_DIST: 60,            // default flyby distance from a body's surface
+    GATE_RADIUS: 25,
+    DEFAULT_STARS: [200, 280],
+    INSERTION_DEFAULTS: { maxLandingSpeed: 2.5, captureTicks: 150, captureRadius: 50 },
+    APPROACH_HUD_DIST: 120,
+    PREDICTION_MIN_TICKS: 60,
+    PREDICTION_MAX_TICKS: 1200,
+    PREDICTION_STEPS_PER_FRAME: 120, // integrator sub-steps a frame may spend on path predictions
+    PREDICTION_REFRESH_TICKS: 6,     // the shown path is redone once it is this many ticks old
+    ENCOUNTER_DIST: 60,
+    REPLAY_KEYFRAME_EVERY: 120,
+    CAMERA_MIN_ZOOM: 0.25,
+    CAMERA_MAX_ZOOM: 3,
+    CAMERA_FOLLOW_MARGIN: 80,
+    CAMERA_EASE: 0.08,
+    HUD_VELOCITY_SCALE: 12,    // tactical overlay arrow length per unit of speed...
+    HUD_THRUST_SCALE: 300,     // ...and per unit of thrust
+    MANEUVER_MAX_DV: 3,        // largest prograde/radial burn a node can plan
+    MANEUVER_PICK_DIST: 24,    // screen pixels for tapping the path or a node
+    STEER_RATE: 0.05,          // radians per tick that rotate-and-burn input turns the ship
+    POINTER_STEER_DIST: 120,   // sideways drag (screen pixels) that turns at the full rate
+    THROTTLE_STEP: 0.02,       // keyboard throttle change per tick while R/F is held
+    STICK_DEADZONE: 0.2,
+    LAUNCH_METER_SECONDS: 1.2, // the launch power meter sweeps empty to full in this time
+    LENS_RADIUS: 3,            // a black hole bends starlight out to this many horizon radii
+    FUEL_WARNINGS: [0.25, 0.1, 0],  // tank shares that are announced to screen readers
+    CLOSEST_ANNOUNCE_TICKS: 60,     // announce the closest approach once it's been passed this long
+    REPLAY_SPEEDS: [1, 2, 4]
 };
 
+const SAVE_KEY = 'marsShot.profile';
+const SAVE_VERSION = 1;
+// SAVE_MIGRATIONS[n] turns a version-n profile into a version n+1 profile.
+const SAVE_MIGRATIONS = {
+    // Version 0 is a profile without a version number, e.g. one written by hand. Its fields
+    // already have the version 1 shape; apply() fills in whatever is missing.
+    0: (data) => ({ ...data, version: 1 })
+};
+
+const RECORDING_FORMAT = 'mars-shot-recording';
+const RECORDING_VERSION = 2;
+
 // ===================================
 // 2. EVENT MANAGER
 // ===================================
@@ -64,7 +247,7 @@ let gameData = {
     height: 0,
     cx: 0,
     cy: 0,
-    scaleFactor: 1,
+    viewScale: 1,   // screen pixels per world unit at zoom 1
     frameCount: 0,
     animationFrameId: null,
     lastTimestamp: 0,
@@ -74,6 +257,7 @@ let gameData = {
 let gameState = {
     mode: 'IDLE',
     level: 1,
+    seed: null,
     coins: 0,
     closestDist: Infinity,
     isThrusting: false,
@@ -81,9 +265,25 @@ let gameState = {
     isPaused: false
 };
 
+let settings = {
+    predictionTicks: 360,
+    showFlightPrediction: false,
+    showTactical: false,
+    showPhysicsDebug: false,
+    controls: 'pointer',
+    steering: 'aim',
+    masterVolume: 0.8,
+    sfxVolume: 0.8,
+    musicVolume: 0.5,
+    muted: false,
+    palette: 'standard',
+    language: 'auto',   // 'auto' follows the browser, see detectLocale
+    reducedMotion: !!(window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches)
+};
+
 let physics = {
-    bodies: [],
-    rocket: null,
+    sim: null,
+    world: null,
     ghostTrail: [],
     particles: [],
     particlePool: [],
@@ -96,7 +296,10 @@ let upgrades = {};
 // 4. CORE FUNCTIONS
 // ===================================
 
-function endGame(success, reason) {
+// body is what the rocket touched (Mars on a landing), if anything. On a mission level a
+// landing only succeeds once the objectives before it are done.
+function endGame(success, reason, rocket, body) {
+    if (success && !Missions.accept(body, rocket, physics.sim)) { success = false; reason = 'mission_failed'; }
     gameState.mode = 'ENDED';
     gameState.isThrusting = false;
     gameState.isPaused = false;
@@ -104,16 +307,43 @@ function endGame(success, reason) {
     const fuelContainer = document.getElementById('fuelBarContainer');
     if(fuelContainer) fuelContainer.style.display = 'none';
     
-    const pauseMenu = document.getElementById('pauseMenu');
-    if(pauseMenu) pauseMenu.style.display = 'none';
+    UIManager.hideModal('pauseMenu');
 
-    // Save ghost trail
-    if (physics.rocket && physics.rocket.trail.length > 0) {
-        physics.ghostTrail = [...physics.rocket.trail];
+    // Save ghost trail (the simulation drops the rocket once the flight is over)
+    if (rocket && rocket.trail.length > 0) {
+        physics.ghostTrail = [...rocket.trail];
+    }
+    FlightRecorder.finish(reason);
+    Maneuvers.reset();
+    document.getElementById('watchReplayBtn').style.display = FlightRecorder.last ? 'inline-block' : 'none';
+    document.getElementById('exportReplayBtn').style.display = FlightRecorder.last ? 'inline-block' : 'none';
+
+    const level = LevelLoader.getLevel(gameState.level);
+    const assists = physics.sim.assists.map(a => a.deltaV / physics.sim.config.scale);
+    const score = success && rocket ? ScoreSystem.rate(level, {
+        fuelLeft: rocket.fuel,
+        maxFuel: physics.sim.stats.maxFuel,
+        ticks: rocket.age,
+        arrivalSpeed: body ? rocket.vel.sub(body.vel).mag() / physics.sim.config.scale : null,
+        orbit: reason === 'orbit',
+        assists,
+        objectives: Missions.objectives.length
+    }) : null;
+    // Test flights from the editor don't touch the profile.
+    const testing = !!LevelLoader.testLevel;
+    const improved = testing ? [] : SaveSystem.recordResult(gameState.level, {
+        landed: success,
+        closest: gameState.closestDist,
+        fuelUsed: rocket && physics.sim.stats ? physics.sim.stats.maxFuel - rocket.fuel : 0,
+        ticks: rocket ? rocket.age : 0,
+        score: score ? score.total : 0,
+        stars: score ? score.stars : 0,
+        assists: assists.length
+    });
+    if (success && !testing) {
+        SaveSystem.unlockAfter(gameState.level);
+        UIManager.populateLevelSelector();
     }
-    
-    // Destroy rocket object to stop physics interactions
-    physics.rocket = null;
 
     const msgTitle = document.getElementById('msgTitle');
     const msgSub = document.getElementById('msgSub');
@@ -121,42 +351,63 @@ function endGame(success, reason) {
     const nextLevelBtn = document.getElementById('nextLevelBtn');
     const message = document.getElementById('message');
 
+    UIManager.showScore(score);
     if (success) {
-        const earned = GameConfig.LANDING_REWARD;
+        const earned = testing ? 0 : score ? score.total : GameConfig.LANDING_REWARD;
         gameState.coins += earned;
-        msgTitle.innerText = "MARS LANDING!";
+        AudioEngine.fanfare();
+        msgTitle.innerText = t(Missions.active() ? 'result.missionComplete' : reason === 'orbit' ? 'result.orbit' : 'result.landing');
         msgTitle.style.color = "#44ff44";
-        msgSub.innerText = `+${earned} Coins!`;
-        retryBtn.innerText = "Replay Level";
-        nextLevelBtn.style.display = "inline-block";
+        msgSub.innerText = t('result.earned', { coins: earned });
+        retryBtn.innerText = t('result.replayLevel');
+        nextLevelBtn.style.display = testing ? "none" : "inline-block";
         message.classList.add('success');
         message.classList.remove('failure');
     } else {
         let distScore = Math.max(0, GameConfig.MAX_DISTANCE_SCORE - Math.floor(gameState.closestDist / 2));
-        if (reason === 'crashed') distScore = 0;
-        gameState.coins += distScore;
+        if (reason === 'crashed' || reason === 'hard_landing' || testing) distScore = 0;
+        const assistScore = testing ? 0 : ScoreSystem.assistBonus(assists);
+        gameState.coins += distScore + assistScore;
 
         if (reason === 'lost_space') {
-            msgTitle.innerText = "LOST IN SPACE";
+            msgTitle.innerText = t('result.lost');
+            msgTitle.style.color = "#ffaa00";
+        } else if (reason === 'hard_landing') {
+            msgTitle.innerText = t('result.hardLanding');
+            msgTitle.style.color = "#ff4444";
+        } else if (reason === 'mission_failed') {
+            msgTitle.innerText = t('result.missionFailed');
             msgTitle.style.color = "#ffaa00";
         } else {
-            msgTitle.innerText = "CRASHED";
+            msgTitle.innerText = t('result.crashed');
             msgTitle.style.color = "#ff4444";
         }
-        msgSub.innerText = `Closest: ${Math.floor(gameState.closestDist)} | Earned: ${distScore} Coins`;
-        retryBtn.innerText = "Try Again";
+        msgSub.innerText = t('result.closest', { distance: Math.floor(gameState.closestDist), coins: distScore + assistScore });
+        if (assistScore > 0) msgSub.innerText += `\n${t('result.assists', { coins: assistScore, count: assists.length })}`;
+        if (reason === 'hard_landing') {
+            const limit = physics.sim.config.insertion.maxLandingSpeed;
+            msgSub.innerText += `\n${t('result.touchdown', { speed: rocket.vel.sub(body.vel).mag() / physics.sim.config.scale, limit })}`;
+        }
+        if (reason === 'mission_failed' && Missions.failure) msgSub.innerText += `\n${Missions.failure}`;
+        retryBtn.innerText = t('result.retry');
         nextLevelBtn.style.display = "none";
         message.classList.add('failure');
         message.classList.remove('success');
     }
 
-    document.getElementById('coinText').innerText = gameState.coins;
-    message.style.display = 'block';
+    if (improved.length > 0) msgSub.innerText += `\n${t('result.records', { records: improved.map(k => t(`record.${k}`)).join(', ') })}`;
+
+    document.getElementById('coinText').innerText = I18n.number(gameState.coins);
+    SaveSystem.save();
+    UIManager.showModal('message', success && !testing ? nextLevelBtn : retryBtn);
+    Announcer.reset();
+    Announcer.say(`${msgTitle.innerText}. ${msgSub.innerText}`, true);
 }
 
-function spawnExplosion(x, y, color) {
+function spawnExplosion(x, y, color, count = 30) {
     gameState.shakeStrength = 10;
-    for (let i = 0; i < 30; i++) {
+    AudioEngine.explosion(count / 30);
+    for (let i = 0; i < count; i++) {
         const p = getPooledParticle(x, y, color);
         physics.particles.push(p);
     }
@@ -166,155 +417,265 @@ function getPooledParticle(x, y, color) {
     if (physics.particlePool.length > 0) {
         const p = physics.particlePool.pop();
         p.pos.x = x; p.pos.y = y;
-        p.vel.x = (Math.random() - 0.5) * 4 * gameData.scaleFactor;
-        p.vel.y = (Math.random() - 0.5) * 4 * gameData.scaleFactor;
+        p.vel.x = (Math.random() - 0.5) * 4;
+        p.vel.y = (Math.random() - 0.5) * 4;
         p.life = 1;
         p.color = color;
-        p.size = (Math.random() * 3 + 1) * gameData.scaleFactor;
+        p.size = Math.random() * 3 + 1;
         return p;
     }
     return new Particle(x, y, color);
 }
 
 // ===================================
-// 5. PHYSICS CLASSES
+// 5. RENDERING
 // ===================================
 
-class Vector {
-    constructor(x, y) { this.x = x; this.y = y; }
-    add(v) { if (v) { this.x += v.x; this.y += v.y; } }
-    sub(v) { return new Vector(this.x - v.x, this.y - v.y); }
-    mult(n) { this.x *= n; this.y *= n; }
-    mag() { return Math.sqrt(this.x * this.x + this.y * this.y); }
-    normalize() {
-        const m = this.mag();
-        if (m !== 0 && Number.isFinite(m)) { this.x /= m; this.y /= m; }
-    }
-    copy() { return new Vector(this.x, this.y); }
-    heading() { return Math.atan2(this.y, this.x); }
-}
+const Renderer = {
+    drawBody(body) {
+        if (!Number.isFinite(body.pos.x) || !Number.isFinite(body.pos.y)) return;
+        if (body.type === 'pickup') { if (!body.collected) this._drawPickup(body); return; }
+        const ctx = gameData.ctx;
 
-class Body {
-    constructor(x, y, mass, radius, color, isStatic = false, type = 'planet') {
-        this.pos = new Vector(x, y);
-        this.vel = new Vector(0, 0);
-        this.acc = new Vector(0, 0);
-        this.mass = mass;
-        this.radius = radius * gameData.scaleFactor;
-        this.color = color;
-        this.isStatic = isStatic;
-        this.type = type;
-        this.trail = [];
-        this.orbitCenter = null;
-        this.parentBody = null;
-        this.orbitRadius = 0;
-        this.orbitAngle = Math.random() * Math.PI * 2;
-        this.orbitSpeed = 0;
-        this.startPos = new Vector(x, y);
-        this.oscillate = false;
-        this.oscillateSpeed = 0;
-        this.oscillateDist = 0;
-        this.timeOffset = 0;
-        this.fuel = 0;
-        this.angle = 0;
-        this.age = 0;
-        this.shapeVertices = [];
-        
-        if (this.type === 'obstacle') {
-            const numPoints = 6 + Math.floor(Math.random() * 4);
-            for (let i = 0; i < numPoints; i++) {
-                const angle = (i / numPoints) * Math.PI * 2;
-                const r = this.radius * (0.7 + Math.random() * 0.6);
-                this.shapeVertices.push({ x: Math.cos(angle) * r, y: Math.sin(angle) * r });
-            }
+        if ((body.orbitCenter || (body.parentBody && body.type === 'moon')) && body.type !== 'obstacle') {
+            ctx.beginPath();
+            ctx.strokeStyle = 'rgba(255, 255, 255, 0.15)';
+            ctx.lineWidth = 1;
+            ctx.setLineDash([5, 10]);
+            if (body.orbitCenter) ctx.arc(body.orbitCenter.x, body.orbitCenter.y, body.orbitRadius, 0, Math.PI * 2);
+            else if (body.parentBody) ctx.arc(body.parentBody.pos.x, body.parentBody.pos.y, body.orbitRadius, 0, Math.PI * 2);
+            ctx.stroke();
+            ctx.setLineDash([]);
+        } else if (body.kepler && !body.free) {
+            // The ellipse's centre sits a * e from the focus, away from periapsis.
+            const k = body.kepler, focus = body.parentBody ? body.parentBody.pos : k.focus;
+            ctx.beginPath();
+            ctx.strokeStyle = 'rgba(191, 239, 255, 0.15)';
+            ctx.lineWidth = 1;
+            ctx.setLineDash([5, 10]);
+            ctx.ellipse(focus.x - Math.cos(k.argument) * k.a * k.e, focus.y - Math.sin(k.argument) * k.a * k.e, k.a, k.a * Math.sqrt(1 - k.e * k.e), k.argument, 0, Math.PI * 2);
+            ctx.stroke();
+            ctx.setLineDash([]);
         }
-    }
 
-    applyForce(f) {
-        const fCopy = f.copy();
-        fCopy.mult(1 / this.mass);
-        this.acc.add(fCopy);
-    }
+        if (body.trail.length > 1) {
+            ctx.beginPath();
+            ctx.strokeStyle = body.type === 'rocket' ? '#fff' : this.bodyColor(body);
+            ctx.lineWidth = body.type === 'rocket' ? 1.5 : 1;
+            ctx.globalAlpha = 0.3;
+            this.tracePath(body.trail.slice(0, -1));
+            ctx.stroke();
+            ctx.globalAlpha = 1;
+        }
 
-    update() {
-        if (this.orbitCenter) {
-            this.orbitAngle += this.orbitSpeed;
-            this.pos.x = this.orbitCenter.x + Math.cos(this.orbitAngle) * this.orbitRadius;
-            this.pos.y = this.orbitCenter.y + Math.sin(this.orbitAngle) * this.orbitRadius;
-            this.vel.x = -Math.sin(this.orbitAngle) * this.orbitRadius * this.orbitSpeed;
-            this.vel.y = Math.cos(this.orbitAngle) * this.orbitRadius * this.orbitSpeed;
-        } else if (this.parentBody) {
-            this.orbitAngle += this.orbitSpeed;
-            this.pos.x = this.parentBody.pos.x + Math.cos(this.orbitAngle) * this.orbitRadius;
-            this.pos.y = this.parentBody.pos.y + Math.sin(this.orbitAngle) * this.orbitRadius;
-            this.vel.x = this.parentBody.vel.x - Math.sin(this.orbitAngle) * this.orbitRadius * this.orbitSpeed;
-            this.vel.y = this.parentBody.vel.y + Math.cos(this.orbitAngle) * this.orbitRadius * this.orbitSpeed;
-        } else if (this.oscillate) {
-            this.pos.y = this.startPos.y + Math.sin((gameData.frameCount * this.oscillateSpeed) + this.timeOffset) * this.oscillateDist;
-        } else if (!this.isStatic) {
-            this.vel.add(this.acc);
-            this.pos.add(this.vel);
-        }
-        this.acc.mult(0);
-        
-        if (this.type === 'rocket') {
-            this.age++;
-            if (gameState.isThrusting) {
-                const target = new Vector(InputManager.mouse.x, InputManager.mouse.y);
-                const dir = target.sub(this.pos);
-                this.angle = dir.heading();
-            } else if (this.vel.mag() > 0.1) {
-                this.angle = this.vel.heading();
+        if (body.type === 'rocket') this._drawRocket(body);
+        else if (body.type === 'obstacle') this._drawAsteroid(body);
+        else if (body.type === 'comet') this._drawComet(body);
+        else if (body.type === 'blackhole') this._drawBlackHole(body);
+        else if (body.type === 'wormhole') this._drawWormhole(body);
+        else this._drawPlanet(body);
+    },
+
+    // Lines through a list of points, lifting the pen where a wormhole jump is marked.
+    tracePath(points) {
+        const ctx = gameData.ctx;
+        points.forEach((p, i) => { if (i === 0 || p.jump) ctx.moveTo(p.x, p.y); else ctx.lineTo(p.x, p.y); });
+    },
+
+    // Predicted path from predictTrajectory(): line, crash cross, landing ring and the
+    // closest approach to the target (with where the target will be at that moment).
+    drawPrediction(pred, alpha = 0.6) {
+        if (!pred || pred.points.length < 2) return;
+        const ctx = gameData.ctx;
+        ctx.beginPath();
+        this.tracePath(pred.points);
+        ctx.strokeStyle = `rgba(0, 210, 255, ${alpha})`; ctx.lineWidth = 2; ctx.stroke();
+
+        const c = pred.closest;
+        const encounter = pred.landing || (c && c.distance < GameConfig.ENCOUNTER_DIST && (!pred.collision || c.tick < pred.collision.tick));
+        if (c && encounter) {
+            ctx.beginPath(); ctx.arc(c.target.x, c.target.y, 12, 0, Math.PI * 2);
+            ctx.strokeStyle = 'rgba(255, 94, 98, 0.5)'; ctx.lineWidth = 1; ctx.setLineDash([3, 3]); ctx.stroke(); ctx.setLineDash([]);
+            ctx.beginPath(); ctx.arc(c.x, c.y, 5, 0, Math.PI * 2);
+            ctx.fillStyle = pred.landing ? '#44ff44' : '#ff5e62'; ctx.fill();
+            ctx.fillStyle = '#fff'; ctx.font = '11px monospace';
+            ctx.fillText(pred.landing ? t('canvas.landing') : I18n.number(Math.floor(c.distance)), c.x + 8, c.y - 8);
+        }
+        if (pred.collision) {
+            const { x, y } = pred.collision; const r = 6;
+            ctx.beginPath(); ctx.moveTo(x - r, y - r); ctx.lineTo(x + r, y + r); ctx.moveTo(x + r, y - r); ctx.lineTo(x - r, y + r);
+            ctx.strokeStyle = '#ff4444'; ctx.lineWidth = 2; ctx.stroke();
+        }
+    },
+
+    // Tactical overlay: velocity and thrust vectors, the osculating orbit around the Sun with its
+    // periapsis and apoapsis, and the projected closest approach to Mars from `pred`.
+    drawTactical(sim, pred) {
+        const ctx = gameData.ctx;
+        const rocket = sim.rocket;
+        const orbit = osculatingOrbit(sim);
+        if (orbit && orbit.p > 0) {
+            // Sampled outward from periapsis both ways; an escape branch stops short of its asymptotes.
+            const limit = Math.min(sim.config.lostDistance, GameConfig.LOST_DISTANCE) * 2;
+            const span = orbit.e < 1 ? Math.PI : Math.acos(-1 / orbit.e) - 0.01;
+            ctx.beginPath();
+            let drawing = false;
+            for (let i = 0; i <= 180; i++) {
+                const nu = -span + (2 * span * i) / 180;
+                const r = orbit.p / (1 + orbit.e * Math.cos(nu));
+                if (r < 0 || r > limit) { drawing = false; continue; }
+                const x = orbit.body.pos.x + Math.cos(orbit.angle + nu) * r, y = orbit.body.pos.y + Math.sin(orbit.angle + nu) * r;
+                if (drawing) ctx.lineTo(x, y); else ctx.moveTo(x, y);
+                drawing = true;
             }
+            ctx.strokeStyle = 'rgba(157, 0, 255, 0.6)'; ctx.lineWidth = 1; ctx.setLineDash([6, 4]); ctx.stroke(); ctx.setLineDash([]);
+            ctx.font = '11px monospace';
+            [['canvas.periapsis', orbit.periapsis], ['canvas.apoapsis', orbit.apoapsis]].forEach(([label, pt]) => {
+                if (!pt || pt.distance > limit) return;
+                ctx.beginPath(); ctx.arc(pt.x, pt.y, 4, 0, Math.PI * 2);
+                ctx.fillStyle = '#9d00ff'; ctx.fill();
+                ctx.fillStyle = '#d9b3ff';
+                ctx.fillText(t(label, { distance: Math.round(pt.distance - orbit.body.radius) }), pt.x + 7, pt.y - 7);
+            });
         }
 
-        if ((this.type === 'planet' || this.type === 'rocket') && gameData.frameCount % 5 === 0) {
-            this.trail.push({ x: this.pos.x, y: this.pos.y });
-            const limit = this.type === 'rocket' ? GameConfig.ROCKET_TRAIL_LIMIT : GameConfig.BODY_TRAIL_LIMIT;
-            if (this.trail.length > limit) this.trail.shift();
+        const c = pred && pred.closest;
+        if (c && c.tick > 1) {
+            ctx.beginPath(); ctx.moveTo(c.x, c.y); ctx.lineTo(c.target.x, c.target.y);
+            ctx.strokeStyle = 'rgba(255, 94, 98, 0.6)'; ctx.lineWidth = 1; ctx.setLineDash([2, 3]); ctx.stroke(); ctx.setLineDash([]);
+            ctx.beginPath(); ctx.arc(c.x, c.y, 3, 0, Math.PI * 2);
+            ctx.fillStyle = '#ff5e62'; ctx.fill();
+            ctx.fillStyle = '#fff'; ctx.font = '11px monospace';
+            ctx.fillText(t('canvas.closest', { distance: Math.floor(c.distance), seconds: c.tick / 60 }), c.x + 8, c.y + 14);
         }
-    }
 
-    draw() {
-        if (!Number.isFinite(this.pos.x) || !Number.isFinite(this.pos.y)) return;
-        const ctx = gameData.ctx;
+        const v = GameConfig.HUD_VELOCITY_SCALE;
+        this._arrow(rocket.pos, rocket.vel.x * v, rocket.vel.y * v, '#44ff44');
+        if (rocket.thrusting) {
+            const len = sim.stats.thrustPower * GameConfig.HUD_THRUST_SCALE;
+            this._arrow(rocket.pos, Math.cos(rocket.thrustAngle) * len, Math.sin(rocket.thrustAngle) * len, '#ffaa00');
+        }
+    },
 
-        if ((this.orbitCenter || (this.parentBody && this.type === 'moon')) && this.type !== 'obstacle') {
+    // Maneuver nodes on the planned path, with their Δv.
+    drawManeuvers(maneuvers) {
+        const ctx = gameData.ctx;
+        ctx.font = '11px monospace';
+        maneuvers.nodes.forEach(node => {
+            const p = maneuvers.nodePos(node);
+            if (!p) return;
+            const r = node === maneuvers.selected ? 8 : 6;
             ctx.beginPath();
-            ctx.strokeStyle = 'rgba(255, 255, 255, 0.15)';
-            ctx.lineWidth = 1;
-            ctx.setLineDash([5, 10]);
-            if (this.orbitCenter) ctx.arc(this.orbitCenter.x, this.orbitCenter.y, this.orbitRadius, 0, Math.PI * 2);
-            else if (this.parentBody) ctx.arc(this.parentBody.pos.x, this.parentBody.pos.y, this.orbitRadius, 0, Math.PI * 2);
-            ctx.stroke();
-            ctx.setLineDash([]);
+            ctx.moveTo(p.x, p.y - r); ctx.lineTo(p.x + r, p.y); ctx.lineTo(p.x, p.y + r); ctx.lineTo(p.x - r, p.y); ctx.closePath();
+            ctx.fillStyle = node === maneuvers.selected ? '#00d2ff' : 'rgba(0, 210, 255, 0.4)'; ctx.fill();
+            ctx.strokeStyle = '#fff'; ctx.lineWidth = 1; ctx.stroke();
+            ctx.fillStyle = '#fff';
+            ctx.fillText(`Δv ${I18n.number(Math.hypot(node.prograde, node.radial), 2)}`, p.x + 10, p.y - 10);
+        });
+    },
+
+    // Markers for the current mission objective: the flyby range, the gates (the next one lit)
+    // and a ring around a landing site other than the target.
+    drawMission(sim, missions) {
+        const o = missions.objectives[missions.current];
+        if (!o) return;
+        const ctx = gameData.ctx;
+        const scale = sim.config.scale;
+        const ring = (x, y, r, color, dashed) => {
+            ctx.beginPath(); ctx.arc(x, y, r, 0, Math.PI * 2);
+            ctx.strokeStyle = color; ctx.lineWidth = 1.5;
+            ctx.setLineDash(dashed ? [4, 6] : []); ctx.stroke(); ctx.setLineDash([]);
+        };
+        if (o.type === 'flyby' || o.type === 'land') {
+            const body = sim.bodies.find(b => b.id === (o.body || missions.targetId));
+            if (!body || (o.type === 'land' && body.type === 'target_end')) return;
+            const reach = o.type === 'flyby' ? (o.distance !== undefined ? o.distance : GameConfig.FLYBY_DIST) * scale : body.radius * 1.8;
+            ring(body.pos.x, body.pos.y, body.radius + reach, 'rgba(68, 255, 136, 0.6)', true);
+        } else if (o.type === 'gates') {
+            ctx.font = '11px monospace';
+            o.gates.forEach((g, i) => {
+                if (i < o.next) return;
+                const x = sim.config.center.x + g.x * scale, y = sim.config.center.y + g.y * scale;
+                ring(x, y, (g.radius || GameConfig.GATE_RADIUS) * scale, i === o.next ? 'rgba(68, 255, 136, 0.9)' : 'rgba(68, 255, 136, 0.3)', i !== o.next);
+                ctx.fillStyle = i === o.next ? '#44ff88' : 'rgba(68, 255, 136, 0.5)';
+                ctx.fillText(String(i + 1), x - 3, y + 4);
+            });
         }
+    },
+
+    _arrow(from, dx, dy, color) {
+        const ctx = gameData.ctx;
+        const len = Math.hypot(dx, dy);
+        if (len < 1) return;
+        const a = Math.atan2(dy, dx), head = Math.min(6, len / 2);
+        const x = from.x + dx, y = from.y + dy;
+        ctx.beginPath(); ctx.moveTo(from.x, from.y); ctx.lineTo(x, y);
+        ctx.moveTo(x - Math.cos(a - 0.5) * head, y - Math.sin(a - 0.5) * head); ctx.lineTo(x, y);
+        ctx.lineTo(x - Math.cos(a + 0.5) * head, y - Math.sin(a + 0.5) * head);
+        ctx.strokeStyle = color; ctx.lineWidth = 1.5; ctx.stroke();
+    },
 
-        if (this.trail.length > 1) {
+    // Orbit guides, belt bands and the current selection in the level editor.
+    drawEditor(editor) {
+        const ctx = gameData.ctx;
+        const layout = editor.level.layout;
+        const selected = editor.selectedSpec();
+        ctx.setLineDash([3, 5]); ctx.lineWidth = 1;
+        layout.bodies.forEach(spec => {
+            if (spec.type === 'comet' || (!spec.parent && !(spec.orbitRadius > 0))) return;
+            const c = spec.parent ? editor.layoutPos(spec.parent) : { x: spec.x || 0, y: spec.y || 0 };
+            ctx.beginPath(); ctx.arc(c.x, c.y, spec.orbitRadius, 0, Math.PI * 2);
+            ctx.strokeStyle = spec === selected ? 'rgba(157, 0, 255, 0.8)' : 'rgba(255, 255, 255, 0.15)'; ctx.stroke();
+        });
+        ctx.setLineDash([]);
+        (layout.belts || []).forEach(belt => {
+            const c = editor.layoutPos(belt.parent);
             ctx.beginPath();
-            ctx.strokeStyle = this.type === 'rocket' ? '#fff' : this.color;
-            ctx.lineWidth = this.type === 'rocket' ? 1.5 : 1;
-            ctx.globalAlpha = 0.3;
-            for (let i = 0; i < this.trail.length - 1; i++) {
-                ctx.lineTo(this.trail[i].x, this.trail[i].y);
+            ctx.arc(c.x, c.y, belt.outerRadius, 0, Math.PI * 2);
+            ctx.arc(c.x, c.y, belt.innerRadius, 0, Math.PI * 2, true);
+            ctx.fillStyle = belt === selected ? 'rgba(157, 0, 255, 0.2)' : 'rgba(255, 255, 255, 0.05)'; ctx.fill();
+        });
+        if (selected && editor.selected.kind === 'body') {
+            const body = physics.sim.bodies.find(b => b.id === selected.id);
+            if (body) {
+                ctx.beginPath(); ctx.arc(body.pos.x, body.pos.y, Math.max(body.radius, 8) + 6, 0, Math.PI * 2);
+                ctx.strokeStyle = '#9d00ff'; ctx.lineWidth = 2; ctx.stroke();
             }
-            ctx.stroke();
-            ctx.globalAlpha = 1;
         }
+    },
 
-        if (this.type === 'rocket') this._drawRocket();
-        else if (this.type === 'obstacle') this._drawAsteroid();
-        else this._drawPlanet();
-    }
+    // Arrow at the screen edge pointing at a body the camera can't see. Drawn in screen space.
+    drawOffscreenIndicator(body) {
+        const p = Camera.toScreen(body.pos);
+        const w = gameData.width, h = gameData.height, edge = 24;
+        if (p.x >= 0 && p.x <= w && p.y >= 0 && p.y <= h) return;
+        const angle = Math.atan2(p.y - h / 2, p.x - w / 2);
+        const k = Math.min((w / 2 - edge) / Math.abs(Math.cos(angle) || 1e-6), (h / 2 - edge) / Math.abs(Math.sin(angle) || 1e-6));
+        const ctx = gameData.ctx;
+        ctx.save();
+        ctx.translate(w / 2 + Math.cos(angle) * k, h / 2 + Math.sin(angle) * k);
+        ctx.rotate(angle);
+        ctx.beginPath(); ctx.moveTo(12, 0); ctx.lineTo(-6, -8); ctx.lineTo(-6, 8); ctx.closePath();
+        ctx.fillStyle = '#ffaa00'; ctx.fill();
+        ctx.restore();
+    },
 
-    _drawRocket() {
+    // Landing Assist widens the zone where touching Mars counts as a landing.
+    drawLandingZone(target, padding) {
+        if (!target) return;
+        const ctx = gameData.ctx;
+        const r = target.radius + GameConfig.COLLISION_PADDING + padding;
+        ctx.beginPath(); ctx.arc(target.pos.x, target.pos.y, r, 0, Math.PI * 2);
+        ctx.strokeStyle = 'rgba(68, 255, 68, 0.35)'; ctx.lineWidth = 1; ctx.setLineDash([2, 4]); ctx.stroke(); ctx.setLineDash([]);
+    },
+
+    _drawRocket(body) {
         const ctx = gameData.ctx;
         ctx.save();
-        ctx.translate(this.pos.x, this.pos.y);
-        ctx.rotate(this.angle);
-        ctx.scale(gameData.scaleFactor, gameData.scaleFactor);
+        ctx.translate(body.pos.x, body.pos.y);
+        ctx.rotate(body.angle);
 
-        if (gameState.isThrusting && this.fuel > 0) {
+        if (body.thrusting) {
             ctx.beginPath();
             ctx.moveTo(-10, -2); ctx.lineTo(-20 - Math.random() * 8, 0); ctx.lineTo(-10, 2);
             ctx.fillStyle = '#ffaa00'; ctx.fill();
@@ -329,49 +690,163 @@ class Body {
         ctx.ellipse(3, 0, 3, 2, 0, 0, Math.PI * 2);
         ctx.fillStyle = '#00d2ff'; ctx.fill();
         ctx.restore();
-    }
+    },
+
+    _drawPickup(body) {
+        const ctx = gameData.ctx;
+        const r = body.radius * (1 + 0.15 * Math.sin(gameData.frameCount * 0.1));
+        ctx.beginPath();
+        ctx.moveTo(body.pos.x, body.pos.y - r); ctx.lineTo(body.pos.x + r, body.pos.y);
+        ctx.lineTo(body.pos.x, body.pos.y + r); ctx.lineTo(body.pos.x - r, body.pos.y); ctx.closePath();
+        ctx.fillStyle = body.color; ctx.fill();
+        ctx.strokeStyle = '#fff'; ctx.lineWidth = 1; ctx.stroke();
+    },
 
-    _drawAsteroid() {
+    _drawAsteroid(body) {
         const ctx = gameData.ctx;
         ctx.save();
-        ctx.translate(this.pos.x, this.pos.y);
-        ctx.rotate(this.orbitAngle * 2 + (gameData.frameCount * 0.01));
+        ctx.translate(body.pos.x, body.pos.y);
+        ctx.rotate(body.orbitAngle * 2 + (gameData.frameCount * 0.01));
         ctx.beginPath();
-        ctx.moveTo(this.shapeVertices[0].x, this.shapeVertices[0].y);
-        for (let i = 1; i < this.shapeVertices.length; i++) ctx.lineTo(this.shapeVertices[i].x, this.shapeVertices[i].y);
+        ctx.moveTo(body.shapeVertices[0].x, body.shapeVertices[0].y);
+        for (let i = 1; i < body.shapeVertices.length; i++) ctx.lineTo(body.shapeVertices[i].x, body.shapeVertices[i].y);
         ctx.closePath();
-        ctx.fillStyle = this.color; ctx.fill();
+        ctx.fillStyle = body.color; ctx.fill();
         ctx.strokeStyle = 'rgba(0,0,0,0.3)'; ctx.stroke();
         ctx.restore();
-    }
+    },
+
+    // Glow and trail colour of a body in the chosen palette.
+    bodyColor(body) { return PALETTES[settings.palette].colors[body.type] || body.color; },
 
-    _drawPlanet() {
+    _drawPlanet(body) {
         const ctx = gameData.ctx;
-        const glowSize = this.radius * 2;
-        const g = ctx.createRadialGradient(this.pos.x, this.pos.y, this.radius, this.pos.x, this.pos.y, glowSize);
-        g.addColorStop(0, this.color); g.addColorStop(1, 'rgba(0,0,0,0)');
+        const palette = PALETTES[settings.palette];
+        const glowSize = body.radius * 2;
+        const g = ctx.createRadialGradient(body.pos.x, body.pos.y, body.radius, body.pos.x, body.pos.y, glowSize);
+        g.addColorStop(0, this.bodyColor(body)); g.addColorStop(1, 'rgba(0,0,0,0)');
         ctx.globalAlpha = 0.2; ctx.fillStyle = g;
-        ctx.beginPath(); ctx.arc(this.pos.x, this.pos.y, glowSize, 0, Math.PI * 2); ctx.fill();
+        ctx.beginPath(); ctx.arc(body.pos.x, body.pos.y, glowSize, 0, Math.PI * 2); ctx.fill();
+        ctx.globalAlpha = 1;
+
+        const grad = ctx.createRadialGradient(body.pos.x - body.radius * 0.3, body.pos.y - body.radius * 0.3, body.radius * 0.1, body.pos.x, body.pos.y, body.radius);
+        const [light, shade] = palette.gradients[body.type] || palette.gradients.planet;
+        grad.addColorStop(0, light); grad.addColorStop(1, shade);
+        ctx.beginPath(); ctx.arc(body.pos.x, body.pos.y, body.radius, 0, Math.PI * 2); ctx.fillStyle = grad; ctx.fill();
+    },
+
+    // The tail is drawn exactly as far as it is harmful.
+    _drawComet(body) {
+        const ctx = gameData.ctx;
+        const tail = body.tail;
+        if (tail && tail.length > 0) {
+            const { x, y } = body.pos, nx = -tail.dy, ny = tail.dx;
+            const endX = x + tail.dx * tail.length, endY = y + tail.dy * tail.length;
+            const g = ctx.createLinearGradient(x, y, endX, endY);
+            g.addColorStop(0, 'rgba(191, 239, 255, 0.7)'); g.addColorStop(1, 'rgba(191, 239, 255, 0)');
+            ctx.beginPath();
+            ctx.moveTo(x + nx * body.radius, y + ny * body.radius);
+            ctx.lineTo(endX + nx * tail.width, endY + ny * tail.width);
+            ctx.lineTo(endX - nx * tail.width, endY - ny * tail.width);
+            ctx.lineTo(x - nx * body.radius, y - ny * body.radius);
+            ctx.closePath();
+            ctx.fillStyle = g; ctx.fill();
+        }
+        ctx.beginPath(); ctx.arc(body.pos.x, body.pos.y, body.radius, 0, Math.PI * 2);
+        ctx.fillStyle = this.bodyColor(body); ctx.fill();
+    },
+
+    // Accretion glow, a bright photon ring just outside the horizon and the black shadow.
+    _drawBlackHole(body) {
+        const ctx = gameData.ctx;
+        const { x, y } = body.pos, r = body.radius;
+        const glow = ctx.createRadialGradient(x, y, r, x, y, r * GameConfig.LENS_RADIUS);
+        glow.addColorStop(0, this.bodyColor(body)); glow.addColorStop(1, 'rgba(0,0,0,0)');
+        ctx.globalAlpha = 0.35; ctx.fillStyle = glow;
+        ctx.beginPath(); ctx.arc(x, y, r * GameConfig.LENS_RADIUS, 0, Math.PI * 2); ctx.fill();
         ctx.globalAlpha = 1;
+        const spin = settings.reducedMotion ? 0 : gameData.frameCount * 0.02;
+        ctx.beginPath(); ctx.ellipse(x, y, r * 2.2, r * 0.6, spin * 0.2, 0, Math.PI * 2);
+        ctx.strokeStyle = 'rgba(255, 200, 120, 0.5)'; ctx.lineWidth = r * 0.4; ctx.stroke();
+        ctx.beginPath(); ctx.arc(x, y, r * 1.3, 0, Math.PI * 2);
+        ctx.strokeStyle = '#fff3d6'; ctx.lineWidth = Math.max(1, r * 0.15); ctx.stroke();
+        ctx.beginPath(); ctx.arc(x, y, r, 0, Math.PI * 2);
+        ctx.fillStyle = '#000'; ctx.fill();
+    },
+
+    _drawWormhole(body) {
+        const ctx = gameData.ctx;
+        const { x, y } = body.pos, r = body.radius;
+        const spin = settings.reducedMotion ? 0 : gameData.frameCount * 0.05;
+        const g = ctx.createRadialGradient(x, y, 0, x, y, r);
+        g.addColorStop(0, '#050510'); g.addColorStop(1, this.bodyColor(body));
+        ctx.beginPath(); ctx.arc(x, y, r, 0, Math.PI * 2); ctx.fillStyle = g; ctx.fill();
+        ctx.strokeStyle = '#fff'; ctx.lineWidth = 1;
+        for (let i = 0; i < 3; i++) {
+            const a = spin + i * Math.PI * 2 / 3;
+            ctx.beginPath(); ctx.arc(x, y, r * (0.5 + i * 0.2), a, a + Math.PI * 0.8); ctx.stroke();
+        }
+    },
+
+    // Solar flares: a pulsing outline of the cone while the warning runs, then the blast itself.
+    drawFlares(sim) {
+        const ctx = gameData.ctx;
+        sim.bodies.forEach(body => {
+            const state = body.flare && flareState(body, sim.tick);
+            if (!state) return;
+            const { x, y } = body.pos;
+            ctx.beginPath();
+            ctx.moveTo(x, y);
+            ctx.arc(x, y, state.range, state.angle - state.width / 2, state.angle + state.width / 2);
+            ctx.closePath();
+            if (state.active) {
+                const g = ctx.createRadialGradient(x, y, body.radius, x, y, state.range);
+                g.addColorStop(0, `rgba(255, 170, 0, ${0.5 * (1 - state.progress) + 0.1})`); g.addColorStop(1, 'rgba(255, 170, 0, 0)');
+                ctx.fillStyle = g; ctx.fill();
+            } else {
+                ctx.globalAlpha = 0.3 + 0.5 * Math.abs(Math.sin(state.progress * Math.PI * 4));
+                ctx.strokeStyle = '#ffaa00'; ctx.lineWidth = 2; ctx.setLineDash([6, 6]); ctx.stroke(); ctx.setLineDash([]);
+                ctx.globalAlpha = 1;
+            }
+        });
+    },
+
+    // Black holes on screen, for bending the background stars: { x, y, r } in screen pixels
+    // with r the Einstein radius.
+    lenses(sim) {
+        return sim ? sim.bodies.filter(b => b.type === 'blackhole').map(b => {
+            const p = Camera.toScreen(b.pos);
+            return { x: p.x, y: p.y, r: b.radius * GameConfig.LENS_RADIUS * Camera.scale };
+        }) : [];
+    },
 
-        const grad = ctx.createRadialGradient(this.pos.x - this.radius * 0.3, this.pos.y - this.radius * 0.3, this.radius * 0.1, this.pos.x, this.pos.y, this.radius);
-        if (this.type === 'sun') { grad.addColorStop(0, '#fff'); grad.addColorStop(1, '#ff8800'); }
-        else if (this.type === 'target_start') { grad.addColorStop(0, '#88ccff'); grad.addColorStop(1, '#0055aa'); }
-        else if (this.type === 'target_end') { grad.addColorStop(0, '#ff8888'); grad.addColorStop(1, '#aa2222'); }
-        else if (this.type === 'saturn') { grad.addColorStop(0, '#f4d03f'); grad.addColorStop(1, '#b7950b'); }
-        else if (this.type === 'moon') { grad.addColorStop(0, '#ddd'); grad.addColorStop(1, '#888'); }
-        else { grad.addColorStop(0, '#aaa'); grad.addColorStop(1, '#555'); }
-        ctx.beginPath(); ctx.arc(this.pos.x, this.pos.y, this.radius, 0, Math.PI * 2); ctx.fillStyle = grad; ctx.fill();
+    // A star near a black hole shows as the two images of a point-mass lens: one pushed out
+    // toward the Einstein ring and a fainter one mirrored inside it. Screen space.
+    drawStar(star, lenses) {
+        const ctx = gameData.ctx;
+        ctx.fillStyle = `rgba(255,255,255,${star.alpha})`;
+        for (const lens of lenses) {
+            const dx = star.x - lens.x, dy = star.y - lens.y, d = Math.hypot(dx, dy);
+            if (d === 0 || d > lens.r * 4) continue;
+            const root = Math.sqrt(d * d + 4 * lens.r * lens.r);
+            [(d + root) / 2, (d - root) / 2].forEach((k, i) => {
+                ctx.globalAlpha = i === 0 ? 1 : 0.5;
+                ctx.beginPath(); ctx.arc(lens.x + dx / d * k, lens.y + dy / d * k, star.size * Math.min(2, Math.abs(k) / d + 0.5), 0, Math.PI * 2); ctx.fill();
+            });
+            ctx.globalAlpha = 1;
+            return;
+        }
+        ctx.beginPath(); ctx.arc(star.x, star.y, star.size, 0, Math.PI * 2); ctx.fill();
     }
-}
+};
 
 class Particle {
     constructor(x, y, color) {
         this.pos = new Vector(x, y);
-        this.vel = new Vector((Math.random() - 0.5) * 4 * gameData.scaleFactor, (Math.random() - 0.5) * 4 * gameData.scaleFactor);
+        this.vel = new Vector((Math.random() - 0.5) * 4, (Math.random() - 0.5) * 4);
         this.life = 1;
         this.color = color;
-        this.size = (Math.random() * 3 + 1) * gameData.scaleFactor;
+        this.size = Math.random() * 3 + 1;
     }
     update() {
         this.pos.add(this.vel);
@@ -383,13 +858,123 @@ class Particle {
 // 6. MANAGERS
 // ===================================
 
+// Path predictions are spread over frames so a long one never stalls the loop: a fresh one
+// integrates at most PREDICTION_STEPS_PER_FRAME sub-steps a frame. A new one starts when the
+// options change (the path then grows out from the rocket) or when the shown path is
+// PREDICTION_REFRESH_TICKS old (the old path stays up until the new one is done). A frozen
+// sim with unchanged options costs nothing.
+const Predictor = {
+    slots: {}, // 'launch' | 'flight' -> { sim, job, jobKey, shown, shownKey }
+
+    get(slot, sim, options) {
+        let s = this.slots[slot];
+        if (!s || s.sim !== sim) s = this.slots[slot] = { sim, job: null, jobKey: null, shown: null, shownKey: null };
+        const key = JSON.stringify(options);
+        if (s.job && s.jobKey !== key) s.job = null;
+        const stale = !s.shown || s.shownKey !== key || sim.tick - s.shown.startTick >= GameConfig.PREDICTION_REFRESH_TICKS;
+        if (!s.job && stale) { s.job = new Prediction(sim, options); s.jobKey = key; }
+        if (s.job && s.job.advance(GameConfig.PREDICTION_STEPS_PER_FRAME)) {
+            s.shown = s.job.result; s.shownKey = s.jobKey; s.job = null;
+        }
+        return s.job && s.shownKey !== key ? s.job.result : s.shown;
+    }
+};
+
+// View transform: the world point shown at the centre of the screen and a zoom factor.
+// With follow on it eases towards a frame that keeps the system, the rocket and Mars in view;
+// any manual zoom or pan switches follow off until the camera button turns it back on.
+const Camera = {
+    x: 0,
+    y: 0,
+    zoom: 1,
+    follow: true,
+
+    reset() { this.x = 0; this.y = 0; this.zoom = 1; },
+
+    // Screen pixels per world unit right now
+    get scale() { return this.zoom * gameData.viewScale; },
+
+    apply(ctx) {
+        ctx.translate(gameData.width / 2, gameData.height / 2);
+        ctx.scale(this.scale, this.scale);
+        ctx.translate(-this.x, -this.y);
+    },
+
+    toWorld(p) { return new Vector((p.x - gameData.width / 2) / this.scale + this.x, (p.y - gameData.height / 2) / this.scale + this.y); },
+    toScreen(p) { return new Vector((p.x - this.x) * this.scale + gameData.width / 2, (p.y - this.y) * this.scale + gameData.height / 2); },
+
+    // Zooms by factor around a screen point, keeping the world point under it fixed.
+    zoomAt(sx, sy, factor) {
+        const before = this.toWorld({ x: sx, y: sy });
+        this.zoom = Math.max(GameConfig.CAMERA_MIN_ZOOM, Math.min(GameConfig.CAMERA_MAX_ZOOM, this.zoom * factor));
+        const after = this.toWorld({ x: sx, y: sy });
+        this.x += before.x - after.x; this.y += before.y - after.y;
+        this.setFollow(false);
+    },
+
+    panBy(dx, dy) {
+        this.x -= dx / this.scale; this.y -= dy / this.scale;
+        this.setFollow(false);
+    },
+
+    setFollow(on) {
+        this.follow = on;
+        const btn = document.getElementById('cameraBtn');
+        btn.textContent = t(on ? 'button.follow' : 'button.free');
+        btn.classList.toggle('active', on);
+    },
+
+    update(sim) {
+        if (!this.follow) return;
+        const viewW = gameData.width / gameData.viewScale, viewH = gameData.height / gameData.viewScale;
+        let minX = -viewW / 2, minY = -viewH / 2, maxX = viewW / 2, maxY = viewH / 2;
+        const m = GameConfig.CAMERA_FOLLOW_MARGIN;
+        [sim.rocket, sim.findBody('target_end')].forEach(b => {
+            if (!b) return;
+            minX = Math.min(minX, b.pos.x - m); maxX = Math.max(maxX, b.pos.x + m);
+            minY = Math.min(minY, b.pos.y - m); maxY = Math.max(maxY, b.pos.y + m);
+        });
+        const zoom = Math.max(GameConfig.CAMERA_MIN_ZOOM, Math.min(1, viewW / (maxX - minX), viewH / (maxY - minY)));
+        const k = GameConfig.CAMERA_EASE;
+        this.x += ((minX + maxX) / 2 - this.x) * k;
+        this.y += ((minY + maxY) / 2 - this.y) * k;
+        this.zoom += (zoom - this.zoom) * k;
+    }
+};
+
 const InputManager = {
     mouse: { x: window.innerWidth / 2, y: window.innerHeight / 2 },
+    pan: null,        // last pointer position while dragging the view
+    pinch: null,      // last two-finger distance and midpoint
+    gesture: false,   // the current press moves the camera, so its release must not launch
+    pressX: null,     // screen x where the current thrust press started
+    down: false,      // a mouse button or finger is pressed on the game
+    keys: {},         // KeyboardEvent.code -> held
+
+    worldMouse() { return Camera.toWorld(this.mouse); },
 
     init() {
         // Correctly handling touch events to allow UI clicks while preventing scroll
-        eventManager.on(window, 'mousemove', (e) => this._updateMouse(e));
-        eventManager.on(window, 'touchmove', (e) => { e.preventDefault(); this._updateMouse(e); }, { passive: false });
+        eventManager.on(window, 'mousemove', (e) => this._pointerMove(e));
+        eventManager.on(window, 'touchmove', (e) => { e.preventDefault(); this._pointerMove(e); }, { passive: false });
+        eventManager.on(window, 'wheel', (e) => {
+            if (this._isTouchingUI(e)) return;
+            e.preventDefault();
+            Camera.zoomAt(e.clientX, e.clientY, Math.exp(-e.deltaY * 0.001));
+        }, { passive: false });
+        eventManager.on(window, 'contextmenu', (e) => { if (!this._isTouchingUI(e)) e.preventDefault(); });
+        eventManager.on(window, 'keydown', (e) => {
+            if (UIManager.onModalKey(e)) return;
+            if (['INPUT', 'SELECT', 'TEXTAREA'].includes(e.target.tagName)) return;
+            if (gameState.mode === 'EDITOR') { LevelEditor.onKey(e); return; }
+            this.keys[e.code] = true;
+            if (Controls.onKeyDown(e)) return;
+            if (e.key === 'h' || e.key === 'H') UIManager.toggleTactical();
+            else if ((e.key === 'm' || e.key === 'M') && gameState.mode === 'FLYING') Maneuvers.setPlanning(!Maneuvers.planning);
+            else if (e.key === 'p' || e.key === 'P' || e.key === 'Escape') UIManager.togglePause();
+        });
+        eventManager.on(window, 'keyup', (e) => { this.keys[e.code] = false; Controls.onKeyUp(e); });
+        eventManager.on(window, 'blur', () => { this.keys = {}; this.down = false; Controls.release(false); });
         
         eventManager.on(window, 'mousedown', (e) => this._inputStart(e));
         
@@ -417,138 +1002,2168 @@ const InputManager = {
         if (cx !== undefined) { this.mouse.x = cx; this.mouse.y = cy; }
     },
 
+    _pointerMove(e) {
+        if (this.pinch && e.touches && e.touches.length >= 2) {
+            const next = this._pinchState(e.touches);
+            Camera.zoomAt(next.x, next.y, next.dist / this.pinch.dist);
+            Camera.panBy(next.x - this.pinch.x, next.y - this.pinch.y);
+            this.pinch = next;
+            return;
+        }
+        if (this.pan && e.clientX !== undefined) {
+            Camera.panBy(e.clientX - this.pan.x, e.clientY - this.pan.y);
+            this.pan = { x: e.clientX, y: e.clientY };
+            return;
+        }
+        this._updateMouse(e);
+        if (gameState.mode === 'EDITOR') LevelEditor.pointerMove(this.worldMouse());
+    },
+
+    _pinchState(touches) {
+        const a = touches[0], b = touches[1];
+        return { dist: Math.max(1, Math.hypot(a.clientX - b.clientX, a.clientY - b.clientY)), x: (a.clientX + b.clientX) / 2, y: (a.clientY + b.clientY) / 2 };
+    },
+
+    // Two fingers pinch/pan; the middle or right mouse button, or Shift, drags the view.
+    _startGesture(e) {
+        if (e.touches && e.touches.length >= 2) {
+            this.pinch = this._pinchState(e.touches);
+            this.gesture = true;
+            gameState.isThrusting = false;
+            return true;
+        }
+        if (e.button === 1 || e.button === 2 || (e.button === 0 && e.shiftKey)) {
+            this.pan = { x: e.clientX, y: e.clientY };
+            this.gesture = true;
+            return true;
+        }
+        return false;
+    },
+
     _isTouchingUI(e) {
         if (!e.target) return false;
         // Check if target is a button, select, or inside a modal/UI container
         if (e.target.tagName === 'BUTTON' || e.target.tagName === 'SELECT') return true;
-        if (e.target.closest('.modal') || e.target.closest('#ui') || e.target.closest('#levelSelectContainer')) return true;
+        if (e.target.closest('.modal') || e.target.closest('#ui') || e.target.closest('#levelSelectContainer') || e.target.closest('#replayBar') || e.target.closest('#editorPanel') || e.target.closest('#maneuverPanel') || e.target.closest('#updateBanner')) return true;
         // Explicit checks for specific buttons if they are direct children
-        if (e.target.id === 'storeToggleBtn' || e.target.id === 'resetLevelBtn' || e.target.id === 'pauseBtn') return true;
+        if (e.target.id === 'storeToggleBtn' || e.target.id === 'resetLevelBtn' || e.target.id === 'pauseBtn' || e.target.id === 'settingsBtn' || e.target.id === 'editorReturnBtn' || e.target.id === 'cameraBtn' || e.target.id === 'tacticalBtn' || e.target.id === 'planBtn' || e.target.id === 'muteBtn') return true;
         return false;
     },
 
     _inputStart(e) {
         if (this._isTouchingUI(e)) return;
-        if (gameState.mode === 'FLYING') {
+        this.down = true;
+        if (this._startGesture(e)) return;
+        if (gameState.mode === 'EDITOR') {
+            this._updateMouse(e);
+            LevelEditor.pointerDown(this.worldMouse());
+        } else if (gameState.mode === 'FLYING' && Maneuvers.planning) {
+            this._updateMouse(e);
+            Maneuvers.pointerDown(this.worldMouse());
+        } else if (gameState.mode === 'FLYING' && Controls.scheme() === 'pointer') {
             gameState.isThrusting = true;
             this._updateMouse(e);
+            this.pressX = this.mouse.x;
         }
     },
 
     _inputEnd(e) {
+        if (!e.touches || e.touches.length === 0) this.down = false;
+        if (this.gesture) {
+            if (!e.touches || e.touches.length === 0) { this.gesture = false; this.pan = null; this.pinch = null; }
+            return;
+        }
         if (this._isTouchingUI(e)) return;
-        if (gameState.mode === 'FLYING') {
+        if (gameState.mode === 'EDITOR') {
+            LevelEditor.pointerUp();
+        } else if (gameState.mode === 'FLYING') {
             gameState.isThrusting = false;
-        } else if (gameState.mode === 'IDLE') {
+            this.pressX = null;
+        } else if (gameState.mode === 'IDLE' && Controls.scheme() === 'pointer') {
             launch(e);
         }
     }
 };
 
-const UpgradeSystem = {
-    upgrades: {},
-    init() {
-        // Use hardcoded data to ensure offline functionality
-        const config = LEVELS_DATA.upgrades;
-        this.upgrades = {
-            fuel: { level: 1, cost: config.fuel.baseCost, name: config.fuel.name, max: config.fuel.maxLevel, costMultiplier: config.fuel.costMultiplier },
-            thrust: { level: 1, cost: config.thrust.baseCost, name: config.thrust.name, max: config.thrust.maxLevel, costMultiplier: config.thrust.costMultiplier },
-            launch: { level: 1, cost: config.launch.baseCost, name: config.launch.name, max: config.launch.maxLevel, costMultiplier: config.launch.costMultiplier }
-        };
+// Turns the chosen control scheme into flight input. Keyboard and rotate-and-burn steering
+// keep their own heading, which turns a little on every tick the input asks it to. In the
+// keyboard and gamepad schemes the launch power meter charges while Space (or the pad's A
+// button) is held and the rocket launches along the heading when it is let go.
+const Controls = {
+    heading: -Math.PI / 2,
+    launchHeading: -Math.PI / 2,
+    throttle: 1,          // keyboard throttle setting
+    charging: false,
+    power: 0,             // launch power meter, 0-1
+    rising: true,
+    pad: null,            // this frame's gamepad reading
+    padLaunch: false,     // the pad's launch button was down last frame
+
+    scheme() { return settings.controls; },
+    rotating() { return this.scheme() === 'keyboard' || settings.steering === 'rotate'; },
+
+    reset() {
+        this.heading = this.launchHeading;
+        this.throttle = 1;
+        this.charging = false; this.power = 0;
     },
-    getStats() {
-        return {
-            maxFuel: 100 + (this.upgrades.fuel.level - 1) * 30,
-            thrustPower: (0.1 + (this.upgrades.thrust.level - 1) * 0.025) * gameData.scaleFactor,
-            launchForceMin: 1.5 * gameData.scaleFactor,
-            launchForceMax: (5 + (this.upgrades.launch.level - 1)) * gameData.scaleFactor
-        };
+
+    onLaunch(vec) {
+        if (this.scheme() !== 'pointer') this.launchHeading = this.heading;
+        this.heading = vec.heading();
+        this.charging = false; this.power = 0;
     },
-    buy(type) {
-        const u = this.upgrades[type];
-        if (u.level < u.max && gameState.coins >= u.cost) {
-            gameState.coins -= u.cost;
-            u.level++;
-            u.cost = Math.floor(u.cost * u.costMultiplier);
-            document.getElementById('coinText').innerText = gameState.coins;
-            UIManager.renderStore();
+
+    // Called once per frame, outside the fixed-step loop: reads the pad, aims the launch and
+    // runs the power meter.
+    update(delta) {
+        const scheme = this.scheme();
+        if (scheme === 'gamepad') this._pollPad();
+        if (gameState.mode !== 'IDLE' || gameState.isPaused) return;
+        if (scheme !== 'pointer') this._steer(delta * 60);
+        if (scheme === 'gamepad') {
+            const down = !!(this.pad && this.pad.launch);
+            if (down && !this.padLaunch) this.startCharge();
+            else if (!down && this.padLaunch) this.release(true);
+            this.padLaunch = down;
         }
-    }
-};
+        if (this.charging) {
+            const d = delta / GameConfig.LAUNCH_METER_SECONDS;
+            this.power += this.rising ? d : -d;
+            if (this.power >= 1) { this.power = 1; this.rising = false; }
+            if (this.power <= 0) { this.power = 0; this.rising = true; }
+        }
+    },
 
-const UIManager = {
-    init() { 
-        this.populateLevelSelector();
-        this.setupEventListeners(); 
+    startCharge() {
+        if (gameState.mode !== 'IDLE' || this.charging) return;
+        this.charging = true; this.power = 0; this.rising = true;
     },
-    populateLevelSelector() {
-        const sel = document.getElementById('levelSelect');
-        sel.innerHTML = '';
-        LEVELS_DATA.levels.forEach(l => {
-            const opt = document.createElement('option');
-            opt.value = l.id; opt.innerText = l.name;
-            sel.appendChild(opt);
-        });
+
+    // Ends a charge, launching unless fire is false (the window lost focus mid-charge).
+    release(fire) {
+        if (!this.charging) return;
+        if (fire && gameState.mode === 'IDLE' && !gameState.isPaused) launch();
+        this.charging = false; this.power = 0;
     },
-    setupEventListeners() {
-        const el = (id) => document.getElementById(id);
-        
-        // Helper to bind clicks safely
-        const bindClick = (element, handler) => {
-            if (element) {
-                eventManager.on(element, 'click', (e) => {
-                    e.stopPropagation(); // Stop propagation to canvas
-                    handler(e);
-                });
-                // Also prevent touchstart from propagating for buttons
-                eventManager.on(element, 'touchstart', (e) => e.stopPropagation(), { passive: true });
-            }
+
+    // Returns true when the key belongs to the keyboard scheme.
+    onKeyDown(e) {
+        if (this.scheme() !== 'keyboard' || e.code !== 'Space') return false;
+        e.preventDefault();
+        if (!e.repeat) this.startCharge();
+        return true;
+    },
+
+    onKeyUp(e) {
+        if (this.scheme() !== 'keyboard' || e.code !== 'Space') return;
+        e.preventDefault();
+        this.release(true);
+    },
+
+    _pollPad() {
+        const pads = navigator.getGamepads ? Array.from(navigator.getGamepads()) : [];
+        const pad = pads.find(p => p && p.connected);
+        if (!pad) { this.pad = null; return; }
+        const axis = (v) => (Math.abs(v || 0) < GameConfig.STICK_DEADZONE ? 0 : v);
+        const trigger = pad.buttons[7] ? pad.buttons[7].value : 0;
+        this.pad = {
+            x: axis(pad.axes[0]), y: axis(pad.axes[1]),
+            throttle: trigger < 0.05 ? 0 : trigger,
+            launch: !!(pad.buttons[0] && pad.buttons[0].pressed)
         };
+    },
 
-        bindClick(el('resetLevelBtn'), () => resetGame('stay'));
-        bindClick(el('storeToggleBtn'), () => this.openStore());
-        bindClick(el('storeCloseBtn'), () => this.closeStore());
-        bindClick(el('pauseBtn'), () => this.togglePause());
-        bindClick(el('retryBtn'), () => resetGame('stay'));
-        bindClick(el('nextLevelBtn'), () => resetGame('next'));
-        
-        const lvlSel = el('levelSelect');
-        if (lvlSel) {
-            eventManager.on(lvlSel, 'change', (e) => changeLevel(e.target.value));
-            // Ensure select dropdown works on mobile by stopping propagation
-            eventManager.on(lvlSel, 'touchstart', (e) => e.stopPropagation(), { passive: true });
+    // Turns the heading by `ticks` worth of steering, or points it along the stick.
+    _steer(ticks) {
+        const scheme = this.scheme();
+        let turn = 0;
+        if (scheme === 'keyboard') {
+            const k = InputManager.keys;
+            turn = (k.ArrowRight || k.KeyD ? 1 : 0) - (k.ArrowLeft || k.KeyA ? 1 : 0);
+        } else if (scheme === 'gamepad') {
+            if (!this.pad) return;
+            if (!this.rotating()) {
+                if (this.pad.x || this.pad.y) this.heading = Math.atan2(this.pad.y, this.pad.x);
+                return;
+            }
+            turn = this.pad.x;
+        } else if (gameState.isThrusting && InputManager.pressX !== null) {
+            turn = Math.max(-1, Math.min(1, (InputManager.mouse.x - InputManager.pressX) / GameConfig.POINTER_STEER_DIST));
         }
-
-        bindClick(el('pauseResumeBtn'), () => this.togglePause());
-        bindClick(el('pauseRestartBtn'), () => { this.togglePause(); resetGame('stay'); });
+        this.heading += turn * GameConfig.STEER_RATE * ticks;
     },
-    openStore() { document.getElementById('storeModal').style.display = 'block'; this.renderStore(); },
-    closeStore() { document.getElementById('storeModal').style.display = 'none'; },
-    togglePause() {
-        if (gameState.mode === 'FLYING') {
-            gameState.isPaused = !gameState.isPaused;
-            document.getElementById('pauseMenu').style.display = gameState.isPaused ? 'block' : 'none';
-            document.getElementById('statusText').innerText = gameState.isPaused ? 'PAUSED' : 'Hold Screen to Thrust!';
+
+    // Engine input for the current tick.
+    flightInput(rocket) {
+        const scheme = this.scheme();
+        if (scheme === 'pointer' && !this.rotating()) {
+            // The engine pushes from the rocket toward the pointer.
+            if (!gameState.isThrusting) return { thrust: false, angle: 0 };
+            return { thrust: true, angle: InputManager.worldMouse().sub(rocket.pos).heading() };
         }
+        this._steer(1);
+        let throttle;
+        if (scheme === 'keyboard') {
+            const k = InputManager.keys;
+            if (k.KeyR) this.throttle = Math.min(1, this.throttle + GameConfig.THROTTLE_STEP);
+            if (k.KeyF) this.throttle = Math.max(0, this.throttle - GameConfig.THROTTLE_STEP);
+            throttle = k.ArrowUp || k.KeyW ? this.throttle : 0;
+        } else if (scheme === 'gamepad') {
+            throttle = this.pad ? this.pad.throttle : 0;
+        } else {
+            throttle = gameState.isThrusting ? 1 : 0;
+        }
+        return { thrust: throttle > 0, angle: this.heading, throttle, aim: this.rotating() };
     },
-    renderStore() {
-        const list = document.getElementById('upgradesList');
-        while (list.firstChild) list.removeChild(list.firstChild);
-        for (const key in UpgradeSystem.upgrades) {
-            const u = UpgradeSystem.upgrades[key];
-            const row = document.createElement('div'); row.className = 'upgrade-row';
+
+    // Where the launch points and how hard, or null when the pointer aims it.
+    launchAim() {
+        return this.scheme() === 'pointer' ? null : { angle: this.heading, power: this.power };
+    },
+
+    hint(mode) {
+        const scheme = this.scheme();
+        if (mode === 'IDLE') return t(`hint.idle.${scheme}`);
+        if (scheme === 'keyboard') return t('hint.flying.keyboard');
+        return t(`hint.flying.${scheme}${this.rotating() ? 'Rotate' : ''}`);
+    }
+};
+
+// Inputs are stored run-length encoded: [[ticks, thrust, angle, throttle, aim], ...]. Angles
+// are kept at full precision so a replay re-simulates bit for bit. Version 1 runs stop after
+// the angle and always mean full throttle without aim.
+function packInputs(inputs) {
+    const runs = [];
+    inputs.forEach((input) => {
+        const on = input.thrust ? 1 : 0, aim = input.aim ? 1 : 0;
+        const a = on || aim ? input.angle : 0;
+        const th = on ? (input.throttle === undefined ? 1 : input.throttle) : 0;
+        const last = runs[runs.length - 1];
+        if (last && last[1] === on && last[2] === a && last[3] === th && last[4] === aim) last[0]++;
+        else runs.push([1, on, a, th, aim]);
+    });
+    return runs;
+}
+
+function unpackInputs(runs) {
+    const inputs = [];
+    runs.forEach(([n, on, a, th = 1, aim = 0]) => {
+        for (let i = 0; i < n; i++) inputs.push({ thrust: on === 1, angle: a, throttle: th, aim: aim === 1 });
+    });
+    return inputs;
+}
+
+function validateRecording(rec) {
+    const errors = [];
+    const isNum = (v) => typeof v === 'number' && Number.isFinite(v);
+    if (!rec || rec.format !== RECORDING_FORMAT) return [t('valid.notRecording')];
+    if (!Number.isInteger(rec.version) || rec.version < 1 || rec.version > RECORDING_VERSION) errors.push(t('valid.recordingVersion', { version: String(rec.version), max: String(RECORDING_VERSION) }));
+    if (rec.physicsVersion !== PHYSICS_VERSION) errors.push(t('valid.physicsVersion', { version: String(rec.physicsVersion), current: String(PHYSICS_VERSION) }));
+    if (!rec.level || typeof rec.level !== 'object') errors.push(t('valid.missing', { path: '"level"' }));
+    else errors.push(...validateLayout(rec.layout, 'layout'));
+    if (typeof rec.seed !== 'string') errors.push(t('valid.string', { path: '"seed"' }));
+    if (!rec.world || !rec.world.center || !isNum(rec.world.center.x) || !isNum(rec.world.center.y) || !isNum(rec.world.orbitScale) || !isNum(rec.world.scale)) errors.push(t('valid.incomplete', { path: '"world"' }));
+    if (!rec.stats || !isNum(rec.stats.maxFuel) || !isNum(rec.stats.thrustPower)) errors.push(t('valid.incomplete', { path: '"stats"' }));
+    if (!rec.launch || !Number.isInteger(rec.launch.tick) || rec.launch.tick < 0 || !isNum(rec.launch.vx) || !isNum(rec.launch.vy)) errors.push(t('valid.incomplete', { path: '"launch"' }));
+    const badRun = (r) => !Array.isArray(r) || !Number.isInteger(r[0]) || r[0] < 1 || (r[1] !== 0 && r[1] !== 1) || !isNum(r[2]) ||
+        (rec.version >= 2 && (!isNum(r[3]) || r[3] < 0 || r[3] > 1 || (r[4] !== 0 && r[4] !== 1)));
+    if (!Array.isArray(rec.inputs) || rec.inputs.some(badRun)) errors.push(t('valid.inputs', { path: '"inputs"', fields: rec.version >= 2 ? 'ticks, thrust, angle, throttle, aim' : 'ticks, thrust, angle' }));
+    return errors;
+}
+
+// Captures what's needed to re-fly the current attempt: the level, seed and screen it was
+// built for, the launch vector and every tick's thrust input.
+const FlightRecorder = {
+    current: null,
+    inputs: [],
+    last: null,
+
+    start(sim, launchVel, stats) {
+        const level = LevelLoader.getLevel(gameState.level);
+        const { layout, ...levelInfo } = level;
+        this.inputs = [];
+        this.current = {
+            format: RECORDING_FORMAT,
+            version: RECORDING_VERSION,
+            physicsVersion: PHYSICS_VERSION,
+            level: levelInfo,
+            layout: LevelLoader.getLayout(level),
+            seed: String(gameState.seed),
+            world: JSON.parse(JSON.stringify(physics.world)),
+            stats: { ...stats },
+            launch: { tick: sim.tick, vx: launchVel.x, vy: launchVel.y },
+            inputs: null,
+            outcome: null
+        };
+    },
+
+    record(input) {
+        if (this.current) this.inputs.push({ thrust: input.thrust, angle: input.angle, throttle: input.throttle, aim: input.aim });
+    },
+
+    finish(outcome) {
+        if (!this.current) return;
+        this.current.inputs = packInputs(this.inputs);
+        this.current.ticks = this.inputs.length;
+        this.current.outcome = outcome;
+        this.current.recordedAt = new Date().toISOString();
+        this.last = this.current;
+        this.current = null;
+        this.inputs = [];
+    },
+
+    export(rec = this.last) {
+        if (!rec) return;
+        const blob = new Blob([JSON.stringify(rec)], { type: 'application/json' });
+        const a = document.createElement('a');
+        a.href = URL.createObjectURL(blob);
+        a.download = `mars-shot-level${rec.level.id}-${rec.seed}-${rec.outcome}.json`;
+        document.body.appendChild(a); a.click(); a.remove();
+        setTimeout(() => URL.revokeObjectURL(a.href), 1000);
+    },
+
+    async import(file) {
+        let rec;
+        try { rec = JSON.parse(await file.text()); }
+        catch (err) { alert(t('alert.badJson', { file: file.name })); return; }
+        const errors = validateRecording(rec);
+        if (errors.length > 0) { alert(t('alert.badReplay', { file: file.name, errors: errors.join('\n- ') })); return; }
+        ReplayPlayer.open(rec);
+    }
+};
+
+// Re-flies a recording. The whole flight is simulated once up front, keeping a snapshot
+// every REPLAY_KEYFRAME_EVERY ticks so scrubbing only has to re-run a short stretch.
+const ReplayPlayer = {
+    recording: null,
+    inputs: [],
+    keyframes: [],
+    path: [],
+    tick: 0,
+    speed: 1,
+    playing: false,
+
+    build(rec) {
+        Random.seed(rec.seed);
+        const sim = new Simulation(buildSystem(rec.layout, rec.level, rec.world), simOptions(rec.world, rec.level));
+        for (let i = 0; i < rec.launch.tick; i++) sim.step();
+        sim.launch(new Vector(rec.launch.vx, rec.launch.vy), rec.stats);
+        return sim;
+    },
+
+    open(rec) {
+        FlightRecorder.current = null;
+        this.recording = rec;
+        this.inputs = unpackInputs(rec.inputs);
+        const sim = this.build(rec);
+        this.keyframes = [sim.clone()];
+        this.path = [sim.rocket.pos.copy()];
+        let warped = false;
+        sim.on('warped', () => { warped = true; });
+        for (let i = 0; i < this.inputs.length; i++) {
+            sim.step(this.inputs[i]);
+            if (sim.rocket) this.path.push(Object.assign(sim.rocket.pos.copy(), warped ? { jump: true } : {}));
+            warped = false;
+            if ((i + 1) % GameConfig.REPLAY_KEYFRAME_EVERY === 0) this.keyframes.push(sim.clone());
+        }
+
+        gameState.mode = 'REPLAY'; gameState.isPaused = false; gameState.isThrusting = false;
+        ['message', 'pauseMenu', 'storeModal', 'settingsModal'].forEach(id => { document.getElementById(id).style.display = 'none'; });
+        document.getElementById('replayBar').style.display = 'flex';
+        document.getElementById('fuelBarContainer').style.display = 'block';
+        document.getElementById('statusText').innerText = t('status.replay', { level: rec.level.id, seed: String(rec.seed) });
+        document.getElementById('statusText').style.color = '#00d2ff';
+        const scrub = document.getElementById('replayScrub');
+        scrub.max = this.inputs.length;
+        this.speed = 1;
+        this.seek(0);
+        this.playing = true;
+        this.renderControls();
+    },
+
+    seek(tick) {
+        tick = Math.max(0, Math.min(tick, this.inputs.length));
+        const k = Math.floor(tick / GameConfig.REPLAY_KEYFRAME_EVERY);
+        const sim = this.keyframes[Math.min(k, this.keyframes.length - 1)].clone();
+        for (let i = k * GameConfig.REPLAY_KEYFRAME_EVERY; i < tick; i++) sim.step(this.inputs[i]);
+        sim.config.recordTrails = true;
+        if (sim.rocket) {
+            const every = sim.config.trailEvery;
+            sim.rocket.trail = this.path.slice(0, tick + 1).filter((p, i) => i % every === 0 || p.jump).slice(-sim.config.rocketTrailLimit).map(p => (p.jump ? { x: p.x, y: p.y, jump: true } : { x: p.x, y: p.y }));
+        }
+        physics.sim = sim;
+        physics.particles.forEach(p => physics.particlePool.push(p));
+        physics.particles = [];
+        this.tick = tick;
+        this.renderControls();
+    },
+
+    update() {
+        if (!this.playing) return;
+        const sim = physics.sim;
+        for (let i = 0; i < this.speed && this.tick < this.inputs.length; i++) {
+            const input = this.inputs[this.tick];
+            const rocket = sim.rocket;
+            sim.step(input);
+            this.tick++;
+            if (rocket && !sim.rocket && (this.recording.outcome === 'crashed' || this.recording.outcome === 'hard_landing')) spawnExplosion(rocket.pos.x, rocket.pos.y, '#ff4444');
+            if (sim.rocket && input.thrust && sim.rocket.fuel > 0 && sim.tick % 3 === 0) {
+                physics.particles.push(getPooledParticle(sim.rocket.pos.x, sim.rocket.pos.y, '#ffaa00'));
+            }
+        }
+        if (this.tick >= this.inputs.length) this.playing = false;
+        this.renderControls();
+    },
+
+    togglePlay() {
+        if (this.tick >= this.inputs.length) this.seek(0);
+        this.playing = !this.playing;
+        this.renderControls();
+    },
+
+    setSpeed(speed) { this.speed = speed; this.renderControls(); },
+
+    renderControls() {
+        document.getElementById('replayPlayBtn').textContent = this.playing ? '⏸' : '▶';
+        document.getElementById('replayScrub').value = this.tick;
+        document.getElementById('replayTime').textContent = `${t('unit.seconds', { value: this.tick / 60 })} / ${t('unit.seconds', { value: this.inputs.length / 60 })}`;
+        document.querySelectorAll('.replay-speed-btn').forEach(btn => btn.classList.toggle('active', parseInt(btn.dataset.speed) === this.speed));
+    }
+};
+
+// Returns a list of human-readable problems; an empty list means the data is usable.
+function validateLevelData(data) {
+    const errors = [];
+    const isNum = (v) => typeof v === 'number' && Number.isFinite(v);
+    const isInt = (v) => Number.isInteger(v);
+    const isText = (v) => typeof v === 'string' && v.trim() !== '';
+
+    if (!data || typeof data !== 'object') return [t('valid.root')];
+
+    if (!Array.isArray(data.levels) || data.levels.length === 0) {
+        errors.push(t('valid.nonEmptyArray', { path: '"levels"' }));
+    } else {
+        const seen = new Set();
+        data.levels.forEach((l, i) => {
+            const at = `levels[${i}]`;
+            if (!l || typeof l !== 'object') { errors.push(t('valid.object', { path: at })); return; }
+            if (!isInt(l.id) || l.id < 1) errors.push(t('valid.positiveInt', { path: `${at}.id`, got: JSON.stringify(l.id) }));
+            else if (seen.has(l.id)) errors.push(t('valid.levelIdTaken', { path: `${at}.id`, id: String(l.id) }));
+            seen.add(l.id);
+            if (!isText(l.name)) errors.push(t('valid.text', { path: `${at}.name` }));
+            if (!isInt(l.asteroidCount) || l.asteroidCount < 0) errors.push(t('valid.wholeMin', { path: `${at}.asteroidCount`, min: 0, got: JSON.stringify(l.asteroidCount) }));
+            if (!isNum(l.asteroidMinSize) || l.asteroidMinSize <= 0) errors.push(t('valid.positive', { path: `${at}.asteroidMinSize`, got: JSON.stringify(l.asteroidMinSize) }));
+            if (!isNum(l.asteroidMaxSize) || l.asteroidMaxSize <= 0) errors.push(t('valid.positive', { path: `${at}.asteroidMaxSize`, got: JSON.stringify(l.asteroidMaxSize) }));
+            else if (isNum(l.asteroidMinSize) && l.asteroidMaxSize < l.asteroidMinSize) errors.push(t('valid.asteroidSizes', { path: at, max: String(l.asteroidMaxSize), min: String(l.asteroidMinSize) }));
+            if (!DIFFICULTIES.includes(l.difficulty)) errors.push(t('valid.oneOf', { path: `${at}.difficulty`, options: DIFFICULTIES.join(', '), got: JSON.stringify(l.difficulty) }));
+            if (l.description !== undefined && typeof l.description !== 'string') errors.push(t('valid.string', { path: `${at}.description` }));
+            if (l.seed !== undefined && !(typeof l.seed === 'string' || Number.isInteger(l.seed))) errors.push(t('valid.seed', { path: `${at}.seed` }));
+            if (l.stars !== undefined && !(Array.isArray(l.stars) && l.stars.length === 2 && l.stars.every(isNum) && l.stars[0] <= l.stars[1])) {
+                errors.push(t('valid.stars', { path: `${at}.stars` }));
+            }
+            if (l.insertion !== undefined) {
+                if (!l.insertion || typeof l.insertion !== 'object') errors.push(t('valid.object', { path: `${at}.insertion` }));
+                else ['maxLandingSpeed', 'captureTicks', 'captureRadius'].forEach(key => {
+                    const v = l.insertion[key];
+                    if (v !== undefined && !(isNum(v) && v > 0)) errors.push(t('valid.positive', { path: `${at}.insertion.${key}`, got: JSON.stringify(v) }));
+                });
+            }
+            if (l.dynamics !== undefined && !DYNAMICS.includes(l.dynamics)) errors.push(t('valid.oneOf', { path: `${at}.dynamics`, options: DYNAMICS.join(', '), got: JSON.stringify(l.dynamics) }));
+            if (l.layout !== undefined) errors.push(...validateLayout(l.layout, `${at}.layout`));
+            if (l.mission !== undefined) errors.push(...validateMission(l.mission, l.layout || data.defaultLayout || LEVELS_DATA.defaultLayout, `${at}.mission`));
+        });
+        if (data.defaultLayout === undefined && data.levels.some(l => l && l.layout === undefined)) {
+            errors.push(t('valid.defaultLayout'));
+        }
+    }
+    if (data.defaultLayout !== undefined) errors.push(...validateLayout(data.defaultLayout, 'defaultLayout'));
+
+    if (!data.upgrades || typeof data.upgrades !== 'object') {
+        errors.push(t('valid.object', { path: '"upgrades"' }));
+    } else {
+        REQUIRED_UPGRADES.forEach(key => { if (!data.upgrades[key]) errors.push(t('valid.missing', { path: `upgrades.${key}` })); });
+        for (const key in data.upgrades) {
+            const u = data.upgrades[key];
+            const at = `upgrades.${key}`;
+            if (!u || typeof u !== 'object') { errors.push(t('valid.object', { path: at })); continue; }
+            if (!UPGRADE_EFFECTS[key]) errors.push(t('valid.unknownUpgrade', { path: at, options: Object.keys(UPGRADE_EFFECTS).join(', ') }));
+            if (u.requires !== undefined) {
+                if (!u.requires || typeof u.requires !== 'object') errors.push(t('valid.requires', { path: `${at}.requires` }));
+                else for (const dep in u.requires) {
+                    if (!data.upgrades[dep] || dep === key) errors.push(t('valid.requiresUpgrade', { path: `${at}.requires.${dep}` }));
+                    else if (!isInt(u.requires[dep]) || u.requires[dep] < 1) errors.push(t('valid.requiresLevel', { path: `${at}.requires.${dep}` }));
+                }
+            }
+            if (!isText(u.name)) errors.push(t('valid.text', { path: `${at}.name` }));
+            if (!isNum(u.baseCost) || u.baseCost < 0) errors.push(t('valid.numberMin', { path: `${at}.baseCost`, min: 0, got: JSON.stringify(u.baseCost) }));
+            if (!isNum(u.costMultiplier) || u.costMultiplier < 1) errors.push(t('valid.numberMin', { path: `${at}.costMultiplier`, min: 1, got: JSON.stringify(u.costMultiplier) }));
+            if (!isInt(u.maxLevel) || u.maxLevel < 1) errors.push(t('valid.wholeMin', { path: `${at}.maxLevel`, min: 1, got: JSON.stringify(u.maxLevel) }));
+        }
+    }
+    return errors;
+}
+
+function validateLayout(layout, at) {
+    const errors = [];
+    const isNum = (v) => typeof v === 'number' && Number.isFinite(v);
+    const optNum = (obj, key, path, min = -Infinity) => {
+        if (obj[key] !== undefined && (!isNum(obj[key]) || obj[key] < min)) {
+            const params = { path: `${path}.${key}`, min, got: JSON.stringify(obj[key]) };
+            errors.push(min > -Infinity ? t('valid.numberMin', params) : t('valid.numberGot', params));
+        }
+    };
+
+    if (!layout || typeof layout !== 'object') return [t('valid.object', { path: at })];
+    if (!Array.isArray(layout.bodies) || layout.bodies.length === 0) return [t('valid.nonEmptyArray', { path: `${at}.bodies` })];
+
+    const ids = new Set();
+    layout.bodies.forEach((b, i) => {
+        const path = `${at}.bodies[${i}]`;
+        if (!b || typeof b !== 'object') { errors.push(t('valid.object', { path })); return; }
+        if (typeof b.id !== 'string' || b.id === '') errors.push(t('valid.text', { path: `${path}.id` }));
+        else if (ids.has(b.id)) errors.push(t('valid.bodyIdTaken', { path: `${path}.id`, id: b.id }));
+        if (!BODY_TYPES.includes(b.type)) errors.push(t('valid.oneOf', { path: `${path}.type`, options: BODY_TYPES.join(', '), got: JSON.stringify(b.type) }));
+        if (!isNum(b.mass) || b.mass < 0) errors.push(t('valid.numberMin', { path: `${path}.mass`, min: 0, got: JSON.stringify(b.mass) }));
+        if (!isNum(b.radius) || b.radius <= 0) errors.push(t('valid.positive', { path: `${path}.radius`, got: JSON.stringify(b.radius) }));
+        if (b.parent !== undefined && !ids.has(b.parent)) errors.push(t('valid.parentBefore', { path: `${path}.parent`, id: String(b.parent) }));
+        if (b.parent !== undefined && b.type !== 'comet' && !(isNum(b.orbitRadius) && b.orbitRadius > 0)) errors.push(t('valid.orbitRadius', { path: `${path}.orbitRadius` }));
+        if (b.type === 'comet') {
+            if (!(isNum(b.periapsis) && b.periapsis > 0)) errors.push(t('valid.positive', { path: `${path}.periapsis`, got: JSON.stringify(b.periapsis) }));
+            else if (!(isNum(b.apoapsis) && b.apoapsis >= b.periapsis)) errors.push(t('valid.apoapsis', { path: `${path}.apoapsis`, got: JSON.stringify(b.apoapsis) }));
+            optNum(b, 'argument', path);
+            optNum(b, 'tail', path, 0);
+        }
+        if (b.type === 'wormhole' && b.link !== undefined) {
+            const other = layout.bodies.find(o => o && o !== b && o.id === b.link);
+            if (!other || other.type !== 'wormhole' || other.link !== b.id) errors.push(t('valid.wormholeLink', { path: `${path}.link`, id: String(b.id) }));
+        }
+        if (b.flare !== undefined) {
+            if (!b.flare || typeof b.flare !== 'object') errors.push(t('valid.object', { path: `${path}.flare` }));
+            else {
+                ['every', 'warning', 'duration', 'push', 'range'].forEach(key => {
+                    const v = b.flare[key];
+                    if (v !== undefined && !(isNum(v) && v > 0)) errors.push(t('valid.positive', { path: `${path}.flare.${key}`, got: JSON.stringify(v) }));
+                });
+                optNum(b.flare, 'delay', `${path}.flare`, 0);
+                optNum(b.flare, 'angle', `${path}.flare`);
+                optNum(b.flare, 'turn', `${path}.flare`);
+                const w = b.flare.width;
+                if (w !== undefined && !(isNum(w) && w > 0 && w <= Math.PI * 2)) errors.push(t('valid.flareWidth', { path: `${path}.flare.width`, got: JSON.stringify(w) }));
+                const { every = 12, warning = 2, duration = 1.5 } = b.flare;
+                if (isNum(every) && isNum(warning) && isNum(duration) && warning + duration > every) errors.push(t('valid.flareTiming', { path: `${path}.flare`, every }));
+            }
+        }
+        optNum(b, 'orbitRadius', path, 0);
+        optNum(b, 'orbitSpeed', path);
+        optNum(b, 'startAngle', path);
+        optNum(b, 'x', path);
+        optNum(b, 'y', path);
+        optNum(b, 'vx', path);
+        optNum(b, 'vy', path);
+        if (b.color !== undefined && typeof b.color !== 'string') errors.push(t('valid.string', { path: `${path}.color` }));
+        if (typeof b.id === 'string') ids.add(b.id);
+    });
+    ['target_start', 'target_end'].forEach(type => {
+        const n = layout.bodies.filter(b => b && b.type === type).length;
+        if (n !== 1) errors.push(t('valid.exactlyOne', { path: at, type, count: n }));
+    });
+
+    if (layout.belts !== undefined) {
+        if (!Array.isArray(layout.belts)) {
+            errors.push(t('valid.array', { path: `${at}.belts` }));
+        } else {
+            layout.belts.forEach((belt, i) => {
+                const path = `${at}.belts[${i}]`;
+                if (!belt || typeof belt !== 'object') { errors.push(t('valid.object', { path })); return; }
+                if (belt.parent !== undefined && !ids.has(belt.parent)) errors.push(t('valid.notBody', { path: `${path}.parent`, id: String(belt.parent) }));
+                if (belt.count !== undefined && !(Number.isInteger(belt.count) && belt.count >= 0)) errors.push(t('valid.wholeMin', { path: `${path}.count`, min: 0, got: JSON.stringify(belt.count) }));
+                if (!isNum(belt.innerRadius) || belt.innerRadius < 0) errors.push(t('valid.numberMin', { path: `${path}.innerRadius`, min: 0, got: JSON.stringify(belt.innerRadius) }));
+                if (!isNum(belt.outerRadius) || belt.outerRadius < belt.innerRadius) errors.push(t('valid.outerRadius', { path: `${path}.outerRadius` }));
+                ['minSize', 'maxSize', 'mass'].forEach(key => optNum(belt, key, path, 0));
+                ['minSpeed', 'maxSpeed'].forEach(key => optNum(belt, key, path));
+                if (belt.spacing !== undefined && belt.spacing !== 'even' && belt.spacing !== 'random') errors.push(t('valid.spacing', { path: `${path}.spacing` }));
+            });
+        }
+    }
+    return errors;
+}
+
+function validateMission(mission, layout, at) {
+    const errors = [];
+    const isNum = (v) => typeof v === 'number' && Number.isFinite(v);
+    const ids = new Set(layout && Array.isArray(layout.bodies) ? layout.bodies.map(b => b && b.id) : []);
+    const body = (o, path, required) => {
+        if (o.body === undefined ? required : !ids.has(o.body)) errors.push(t('valid.layoutBody', { path: `${path}.body`, got: JSON.stringify(o.body) }));
+    };
+
+    if (!mission || typeof mission !== 'object') return [t('valid.object', { path: at })];
+    if (!Array.isArray(mission.objectives) || mission.objectives.length === 0) return [t('valid.nonEmptyArray', { path: `${at}.objectives` })];
+    mission.objectives.forEach((o, i) => {
+        const path = `${at}.objectives[${i}]`;
+        if (!o || typeof o !== 'object') { errors.push(t('valid.object', { path })); return; }
+        if (!MISSION_OBJECTIVES.includes(o.type)) { errors.push(t('valid.oneOf', { path: `${path}.type`, options: MISSION_OBJECTIVES.join(', '), got: JSON.stringify(o.type) })); return; }
+        if (o.type === 'flyby') {
+            body(o, path, true);
+            if (o.distance !== undefined && !(isNum(o.distance) && o.distance > 0)) errors.push(t('valid.positive', { path: `${path}.distance`, got: JSON.stringify(o.distance) }));
+        } else if (o.type === 'collect') {
+            if (!Array.isArray(o.pickups) || o.pickups.length === 0) { errors.push(t('valid.nonEmptyArray', { path: `${path}.pickups` })); return; }
+            o.pickups.forEach((p, k) => {
+                const pp = `${path}.pickups[${k}]`;
+                if (!p || typeof p !== 'object') { errors.push(t('valid.object', { path: pp })); return; }
+                if (p.parent !== undefined && !ids.has(p.parent)) errors.push(t('valid.notBody', { path: `${pp}.parent`, id: String(p.parent) }));
+                if (p.parent !== undefined && !(isNum(p.orbitRadius) && p.orbitRadius > 0)) errors.push(t('valid.orbitRadius', { path: `${pp}.orbitRadius` }));
+                ['orbitRadius', 'orbitSpeed', 'startAngle', 'x', 'y', 'fuel', 'radius'].forEach(key => {
+                    if (p[key] !== undefined && !isNum(p[key])) errors.push(t('valid.numberGot', { path: `${pp}.${key}`, got: JSON.stringify(p[key]) }));
+                });
+            });
+            if (o.count !== undefined && !(Number.isInteger(o.count) && o.count >= 1 && o.count <= o.pickups.length)) errors.push(t('valid.pickupCount', { path: `${path}.count` }));
+        } else if (o.type === 'gates') {
+            if (!Array.isArray(o.gates) || o.gates.length === 0 || o.gates.some(g => !g || !isNum(g.x) || !isNum(g.y) || (g.radius !== undefined && !(isNum(g.radius) && g.radius > 0)))) {
+                errors.push(t('valid.gates', { path: `${path}.gates` }));
+            }
+            if (o.timeLimit !== undefined && !(isNum(o.timeLimit) && o.timeLimit > 0)) errors.push(t('valid.timeLimit', { path: `${path}.timeLimit` }));
+        } else {
+            body(o, path, false);
+            if (o.minFuel !== undefined && !(isNum(o.minFuel) && o.minFuel >= 0 && o.minFuel <= 1)) errors.push(t('valid.minFuel', { path: `${path}.minFuel` }));
+            if (i !== mission.objectives.length - 1) errors.push(t('valid.landLast', { path }));
+        }
+    });
+    return errors;
+}
+
+// Maneuver nodes. Planning freezes the flight: taps on the predicted path add a node (or pick
+// one), and #maneuverPanel sets its prograde/radial Δv. Back in flight the burns fire on their
+// own at the planned ticks unless the player is thrusting by hand.
+const Maneuvers = {
+    nodes: [],
+    selected: null,
+    planning: false,
+    pred: null,                // planned path of the last frame, for tapping on it
+    every: 2,                  // ticks between path points
+
+    // Clears the plan; the PLAN button only shows during a flight.
+    reset(flying = false) {
+        this.nodes = [];
+        this.selected = null;
+        this.pred = null;
+        document.getElementById('planBtn').style.display = flying ? 'block' : 'none';
+        this.setPlanning(false);
+    },
+
+    setPlanning(on) {
+        this.planning = on && gameState.mode === 'FLYING';
+        if (this.planning) gameState.isThrusting = false;
+        document.getElementById('maneuverPanel').style.display = this.planning ? 'block' : 'none';
+        document.getElementById('planBtn').classList.toggle('active', this.planning);
+        this.render();
+    },
+
+    active() { return this.planning || this.nodes.length > 0; },
+
+    predict(sim) {
+        this.pred = Predictor.get('flight', sim, { ticks: settings.predictionTicks, nodes: this.nodes, every: this.every });
+        return this.pred;
+    },
+
+    // The path point nearest the node's tick. Points are matched by their tick, not their index,
+    // because a wormhole adds one out of step with `every`.
+    nodePos(node) {
+        if (!this.pred) return null;
+        const tick = node.tick - this.pred.startTick;
+        let best = null;
+        for (const q of this.pred.points) {
+            if (best && Math.abs(q.tick - tick) >= Math.abs(best.tick - tick)) break;
+            best = q;
+        }
+        return best;
+    },
+
+    pointerDown(p) {
+        const reach = GameConfig.MANEUVER_PICK_DIST / Camera.scale;
+        const near = (q) => q && Math.hypot(q.x - p.x, q.y - p.y) < reach;
+        const hit = this.nodes.find(n => near(this.nodePos(n)));
+        if (hit) { this.selected = hit; this.render(); return; }
+        if (!this.pred) return;
+        let best = -1, bestDist = reach;
+        this.pred.points.forEach((q, i) => {
+            const d = Math.hypot(q.x - p.x, q.y - p.y);
+            if (i > 0 && d < bestDist) { bestDist = d; best = i; }
+        });
+        if (best < 0) return;
+        const node = { tick: this.pred.startTick + this.pred.points[best].tick, prograde: 0, radial: 0 };
+        this.nodes.push(node);
+        this.nodes.sort((a, b) => a.tick - b.tick);
+        this.selected = node;
+        this.render();
+    },
+
+    setBurn(key, value) {
+        if (!this.selected) return;
+        this.selected[key] = value;
+        this.render();
+    },
+
+    deleteSelected() {
+        this.nodes = this.nodes.filter(n => n !== this.selected);
+        this.selected = null;
+        this.render();
+    },
+
+    fuelCost(stats) {
+        const perTick = stats.fuelPerTick !== undefined ? stats.fuelPerTick : physics.sim.config.fuelPerTick;
+        return this.nodes.reduce((sum, n) => sum + burnTicks(n, stats) * perTick, 0);
+    },
+
+    // Planned engine input for the coming tick, or null.
+    input(sim) { return this.nodes.length > 0 ? maneuverInput(sim, this.nodes) : null; },
+
+    // Drops nodes whose burn is over.
+    prune(sim) {
+        if (!sim.rocket || this.nodes.length === 0) return;
+        this.nodes = this.nodes.filter(n => sim.tick < burnStart(n, sim.stats) + burnTicks(n, sim.stats));
+        if (this.selected && !this.nodes.includes(this.selected)) { this.selected = null; this.render(); }
+    },
+
+    render() {
+        const sim = physics.sim;
+        const node = this.selected;
+        document.getElementById('maneuverNode').style.display = node ? 'block' : 'none';
+        document.getElementById('maneuverHint').style.display = node ? 'none' : 'block';
+        if (!sim || !sim.rocket) return;
+        const stats = sim.stats;
+        if (node) {
+            document.getElementById('maneuverNodeTitle').textContent =
+                t('maneuver.node', { in: Math.max(0, node.tick - sim.tick) / 60, length: burnTicks(node, stats) / 60 });
+            ['prograde', 'radial'].forEach(key => {
+                const input = document.getElementById(`${key}Input`);
+                input.min = -GameConfig.MANEUVER_MAX_DV; input.max = GameConfig.MANEUVER_MAX_DV;
+                input.value = node[key];
+                document.getElementById(`${key}Text`).textContent = `${node[key] >= 0 ? '+' : ''}${I18n.number(node[key], 2)}`;
+            });
+        }
+        const cost = this.fuelCost(stats);
+        const fuel = document.getElementById('maneuverFuel');
+        fuel.textContent = t('maneuver.fuel', { count: this.nodes.length, cost, fuel: sim.rocket.fuel });
+        fuel.classList.toggle('short', cost > sim.rocket.fuel);
+    }
+};
+
+// The level's mission, if it has one: objectives are worked through in order. Flybys, pickups
+// and gates are ticked off during the flight; a landing is only a success once everything
+// before it is done, and a mission that doesn't end in a landing succeeds mid-flight.
+const Missions = {
+    objectives: [],       // the level's objectives plus progress: done, next gate, startTick
+    current: 0,
+    collected: 0,
+    failure: null,
+    targetId: null,
+
+    active() { return this.objectives.length > 0; },
+
+    reset(level) {
+        const mission = level.mission;
+        this.objectives = mission ? mission.objectives.map(o => ({ ...o, done: false, next: 0, startTick: null })) : [];
+        this.current = 0;
+        this.collected = 0;
+        this.failure = null;
+        const target = LevelLoader.getLayout(level).bodies.find(b => b.type === 'target_end');
+        this.targetId = target ? target.id : null;
+    },
+
+    // Bodies other than the target that the level's mission lands on, for simOptions.
+    landingSites(level) {
+        const objectives = level.mission ? level.mission.objectives : [];
+        return objectives.filter(o => o.type === 'land' && o.body !== undefined).map(o => o.body);
+    },
+
+    start(sim) { if (this.objectives[0]) this.objectives[0].startTick = sim.tick; },
+
+    onPickup() { this.collected++; },
+
+    // Checks the objectives after a step. Returns 'mission_complete', 'mission_failed' or null.
+    update(sim) {
+        if (!this.active() || !sim.rocket) return null;
+        let o = this.objectives[this.current];
+        while (o && o.type !== 'land' && this._reached(o, sim)) {
+            o.done = true;
+            o = this.objectives[++this.current];
+            if (o) o.startTick = sim.tick;
+        }
+        if (this.failure) return 'mission_failed';
+        return o ? null : 'mission_complete';
+    },
+
+    _reached(o, sim) {
+        const rocket = sim.rocket, scale = sim.config.scale;
+        if (o.type === 'flyby') {
+            const body = sim.bodies.find(b => b.id === o.body);
+            const reach = (o.distance !== undefined ? o.distance : GameConfig.FLYBY_DIST) * scale;
+            return !!body && rocket.pos.sub(body.pos).mag() - body.radius <= reach;
+        }
+        if (o.type === 'collect') return this.collected >= this._count(o);
+        // Gates are passed in order by flying within their radius.
+        const gate = o.gates[o.next];
+        const c = sim.config.center;
+        const d = new Vector(rocket.pos.x - (c.x + gate.x * scale), rocket.pos.y - (c.y + gate.y * scale)).mag();
+        if (d <= (gate.radius || GameConfig.GATE_RADIUS) * scale) o.next++;
+        if (o.next >= o.gates.length) return true;
+        if (o.timeLimit && sim.tick - o.startTick > o.timeLimit * 60) this.failure = t('mission.outOfTime', { gate: o.next + 1 });
+        return false;
+    },
+
+    _count(o) { return o.count !== undefined ? o.count : o.pickups.length; },
+
+    // Whether the flight that just ended on `body` (or mid-flight, without one) completes the
+    // mission. Sets `failure` when it doesn't.
+    accept(body, rocket, sim) {
+        if (!this.active()) return true;
+        const o = this.objectives[this.current];
+        if (!o) return true;
+        if (!body) return false;
+        const name = this.bodyName(body.id || body.type);
+        if (o.type !== 'land') this.failure = t('mission.early', { body: name, objective: this.describe(o) });
+        else if (body.id !== (o.body !== undefined ? o.body : this.targetId)) this.failure = t('mission.wrongBody', { body: name, target: this.bodyName(o.body || this.targetId) });
+        else if (o.minFuel && rocket.fuel < o.minFuel * sim.stats.maxFuel) {
+            this.failure = t('mission.lowFuel', { pct: Math.round(rocket.fuel / sim.stats.maxFuel * 100), needed: Math.round(o.minFuel * 100) });
+        }
+        if (this.failure) return false;
+        o.done = true;
+        this.current++;
+        return true;
+    },
+
+    // The catalog's name for the built-in bodies, otherwise the capitalised id.
+    bodyName(id) {
+        if (!id) return '?';
+        const name = t(`body.${id}`);
+        return name !== `body.${id}` ? name : id.charAt(0).toUpperCase() + id.slice(1);
+    },
+
+    describe(o, sim) {
+        if (o.type === 'flyby') return t('mission.flyby', { body: this.bodyName(o.body) });
+        if (o.type === 'collect') {
+            const n = this._count(o);
+            return t('mission.collect', { count: n, done: Math.min(this.collected, n) });
+        }
+        if (o.type === 'gates') {
+            let text = t('mission.gates', { count: o.gates.length, done: o.next });
+            if (o.timeLimit) {
+                const left = sim && o.startTick !== null && !o.done ? o.timeLimit - (sim.tick - o.startTick) / 60 : o.timeLimit;
+                text += t('mission.timeLeft', { seconds: Math.max(0, left) });
+            }
+            return text;
+        }
+        const body = this.bodyName(o.body || this.targetId);
+        return o.minFuel ? t('mission.landFuel', { body, pct: Math.round(o.minFuel * 100) }) : t('mission.land', { body });
+    }
+};
+
+const LevelLoader = {
+    data: LEVELS_DATA,
+    source: 'builtin',
+
+    async load(url = 'levels.json') {
+        let json;
+        try {
+            const res = await fetch(url, { cache: 'no-cache' });
+            if (!res.ok) throw new Error(`HTTP ${res.status}`);
+            json = await res.json();
+        } catch (err) {
+            console.warn('levels.json unavailable, using built-in levels.', err);
+            return this.data;
+        }
+        const errors = validateLevelData(json);
+        if (errors.length > 0) {
+            console.error(`levels.json rejected, using built-in levels:\n  - ${errors.join('\n  - ')}`);
+            return this.data;
+        }
+        this.data = json;
+        this.source = 'file';
+        return this.data;
+    },
+
+    testLevel: null,   // set while test-flying a level from the editor
+
+    get levels() { return this.data.levels; },
+    getLevel(id) {
+        if (this.testLevel) return this.testLevel;
+        return this.data.levels.find(l => l.id === id) || this.data.levels[0];
+    },
+    getLayout(level) { return level.layout || this.data.defaultLayout || LEVELS_DATA.defaultLayout; },
+    getSeed(level) { return level.seed !== undefined ? String(level.seed) : `level-${level.id}`; },
+    nextLevelId(id) {
+        const i = this.data.levels.findIndex(l => l.id === id);
+        return this.data.levels[(i + 1) % this.data.levels.length].id;
+    }
+};
+
+const UpgradeSystem = {
+    upgrades: {},
+    // savedLevels: { key: level } from the player profile
+    init(savedLevels = {}) {
+        const config = LevelLoader.data.upgrades;
+        this.upgrades = {};
+        for (const key in config) {
+            const c = config[key];
+            const level = Math.max(1, Math.min(c.maxLevel, Math.floor(savedLevels[key]) || 1));
+            let cost = c.baseCost;
+            for (let l = 1; l < level; l++) cost = Math.floor(cost * c.costMultiplier);
+            this.upgrades[key] = { level, cost, name: c.name, description: c.description || '', max: c.maxLevel, costMultiplier: c.costMultiplier, requires: c.requires || {} };
+        }
+    },
+    getLevels() {
+        const levels = {};
+        for (const key in this.upgrades) levels[key] = this.upgrades[key].level;
+        return levels;
+    },
+    effect(key, level) { return UPGRADE_EFFECTS[key].value(level); },
+    level(key) { return this.upgrades[key] ? this.upgrades[key].level : 1; },
+    getStats() {
+        const fx = (key) => this.effect(key, this.level(key));
+        return {
+            maxFuel: fx('fuel'),
+            thrustPower: fx('thrust'),
+            launchForceMin: 1.5,
+            launchForceMax: fx('launch'),
+            fuelPerTick: fx('efficiency'),
+            shieldCharges: fx('heatShield'),
+            rcs: fx('rcs'),
+            landingPadding: fx('landingAssist')
+        };
+    },
+    // Upgrades still needed before `type` can be bought: [{ key, name, level }]
+    missingRequirements(type) {
+        const needs = this.upgrades[type].requires;
+        return Object.keys(needs)
+            .filter(key => this.level(key) < needs[key])
+            .map(key => ({ key, name: this.upgrades[key] ? this.upgrades[key].name : key, level: needs[key] }));
+    },
+    buy(type) {
+        const u = this.upgrades[type];
+        if (u && u.level < u.max && gameState.coins >= u.cost && this.missingRequirements(type).length === 0) {
+            gameState.coins -= u.cost;
+            u.level++;
+            u.cost = Math.floor(u.cost * u.costMultiplier);
+            document.getElementById('coinText').innerText = I18n.number(gameState.coins);
+            SaveSystem.save();
+            UIManager.renderStore();
+        }
+    }
+};
+
+// Rates a landing: base reward plus fuel, time and precision bonuses, scaled by difficulty.
+// A landing is always worth 1 star; level.stars = [score for 2, score for 3].
+const ScoreSystem = {
+    thresholds(level) {
+        if (level.stars) return level.stars;
+        const mult = DIFFICULTY_MULTIPLIERS[level.difficulty] || 1;
+        return GameConfig.DEFAULT_STARS.map(s => Math.round(s * mult));
+    },
+
+    // Bonus for the gravity assists of a flight, given their speed gains in unscaled units.
+    // Paid on landings through the score and on failed flights on top of the distance reward.
+    assistBonus(assists) {
+        return assists.reduce((sum, dv) => sum + Math.round(GameConfig.ASSIST_BONUS + dv * GameConfig.ASSIST_DV_BONUS), 0);
+    },
+
+    // flight = { fuelLeft, maxFuel, ticks, arrivalSpeed, orbit, assists, objectives } with
+    // arrivalSpeed and the assists' speed gains in unscaled units. arrivalSpeed is null for a
+    // mission that was completed in flight, without landing.
+    // A captured orbit is the gentlest possible arrival and earns the full precision bonus.
+    rate(level, flight) {
+        const fuelShare = flight.maxFuel > 0 ? Math.max(0, flight.fuelLeft) / flight.maxFuel : 0;
+        const timeShare = Math.max(0, 1 - flight.ticks / GameConfig.TIME_BONUS_TICKS);
+        const landed = flight.orbit || flight.arrivalSpeed !== null;
+        const softness = flight.orbit ? 1 : Math.max(0, 1 - flight.arrivalSpeed / GameConfig.PRECISION_MAX_SPEED);
+        const lines = [
+            { label: t(flight.orbit ? 'score.orbit' : landed ? 'score.landing' : 'score.mission'), points: GameConfig.LANDING_REWARD },
+            { label: t('score.fuel', { pct: Math.round(fuelShare * 100) }), points: Math.round(fuelShare * GameConfig.FUEL_BONUS) },
+            { label: t('score.time', { seconds: flight.ticks / 60 }), points: Math.round(timeShare * GameConfig.TIME_BONUS) }
+        ];
+        if (landed) lines.push({ label: flight.orbit ? t('score.stableOrbit') : t('score.arrival', { speed: flight.arrivalSpeed }), points: Math.round(softness * GameConfig.PRECISION_BONUS) });
+        if (flight.objectives > 0) lines.push({ label: t('score.objectives', { count: flight.objectives }), points: flight.objectives * GameConfig.OBJECTIVE_BONUS });
+        if (flight.assists.length > 0) lines.push({ label: t('score.assists', { count: flight.assists.length }), points: this.assistBonus(flight.assists) });
+        const multiplier = DIFFICULTY_MULTIPLIERS[level.difficulty] || 1;
+        const total = Math.round(lines.reduce((sum, l) => sum + l.points, 0) * multiplier);
+        const [two, three] = this.thresholds(level);
+        const stars = total >= three ? 3 : total >= two ? 2 : 1;
+        return { lines, multiplier, total, stars };
+    },
+
+    starText(stars, of = 3) { return '★'.repeat(stars) + '☆'.repeat(of - stars); }
+};
+
+// Player profile in localStorage: coins, upgrade levels, unlocked levels, per-level bests
+// and settings. Saves are versioned; older ones are upgraded through SAVE_MIGRATIONS.
+const SaveSystem = {
+    profile: null,
+
+    defaults() {
+        return {
+            version: SAVE_VERSION,
+            coins: 0,
+            upgrades: {},
+            highestUnlocked: LevelLoader.levels[0].id,
+            best: {},
+            settings: { ...settings }
+        };
+    },
+
+    load() {
+        let data = null;
+        try {
+            const raw = localStorage.getItem(SAVE_KEY);
+            if (raw) data = this.migrate(JSON.parse(raw));
+        } catch (err) {
+            console.warn('Saved profile unreadable, starting fresh.', err);
+        }
+        this.apply(data || this.defaults());
+    },
+
+    migrate(data) {
+        if (!data || typeof data !== 'object') throw new Error('profile is not an object');
+        if (data.version === undefined) data = { ...data, version: 0 };
+        if (!Number.isInteger(data.version) || data.version < 0 || data.version > SAVE_VERSION) throw new Error(`unknown profile version ${data.version}`);
+        while (data.version < SAVE_VERSION) data = SAVE_MIGRATIONS[data.version](data);
+        return data;
+    },
+
+    // Fills gaps and clamps values so a hand-edited or partial profile can't break the game.
+    apply(data) {
+        const d = this.defaults();
+        const num = (v, fallback) => (typeof v === 'number' && Number.isFinite(v) ? v : fallback);
+        const unlocked = LevelLoader.levels.find(l => l.id === data.highestUnlocked);
+        this.profile = {
+            version: SAVE_VERSION,
+            coins: Math.max(0, Math.floor(num(data.coins, 0))),
+            upgrades: data.upgrades && typeof data.upgrades === 'object' ? data.upgrades : {},
+            highestUnlocked: unlocked ? unlocked.id : d.highestUnlocked,
+            best: data.best && typeof data.best === 'object' ? data.best : {},
+            settings: Object.assign(d.settings, data.settings)
+        };
+        gameState.coins = this.profile.coins;
+        Object.assign(settings, this.profile.settings);
+        if (!CONTROL_SCHEMES.includes(settings.controls)) settings.controls = 'pointer';
+        if (!STEERING_MODES.includes(settings.steering)) settings.steering = 'aim';
+        if (!Object.prototype.hasOwnProperty.call(PALETTES, settings.palette)) settings.palette = 'standard';
+        settings.reducedMotion = settings.reducedMotion === true;
+        if (settings.language !== 'auto' && !LOCALES.includes(settings.language)) settings.language = 'auto';
+        ['masterVolume', 'sfxVolume', 'musicVolume'].forEach(key => { settings[key] = Math.max(0, Math.min(1, num(settings[key], 1))); });
+        settings.muted = settings.muted === true;
+        UpgradeSystem.init(this.profile.upgrades);
+    },
+
+    save() {
+        if (!this.profile) return;
+        this.profile.coins = gameState.coins;
+        this.profile.upgrades = UpgradeSystem.getLevels();
+        this.profile.settings = { ...settings };
+        try {
+            localStorage.setItem(SAVE_KEY, JSON.stringify(this.profile));
+        } catch (err) {
+            console.warn('Could not save profile.', err);
+        }
+    },
+
+    isUnlocked(levelId) {
+        const levels = LevelLoader.levels;
+        return levels.findIndex(l => l.id === levelId) <= levels.findIndex(l => l.id === this.profile.highestUnlocked);
+    },
+
+    unlockAfter(levelId) {
+        const levels = LevelLoader.levels;
+        const next = levels[levels.findIndex(l => l.id === levelId) + 1];
+        if (next && !this.isUnlocked(next.id)) this.profile.highestUnlocked = next.id;
+    },
+
+    getBest(levelId) { return this.profile.best[levelId] || {}; },
+
+    // result = { landed, closest, fuelUsed, ticks, score, stars }. Returns the names of records that improved.
+    recordResult(levelId, result) {
+        const best = this.profile.best[levelId] = this.getBest(levelId);
+        const improved = [];
+        const better = (key, value) => {
+            if (best[key] === undefined || value < best[key]) { best[key] = value; improved.push(key); }
+        };
+        if (Number.isFinite(result.closest)) better('closest', Math.floor(result.closest));
+        if (result.landed) {
+            better('fuelUsed', Math.round(result.fuelUsed * 10) / 10);
+            better('landingTicks', result.ticks);
+            if (best.score === undefined || result.score > best.score) { best.score = result.score; improved.push('score'); }
+            best.stars = Math.max(best.stars || 0, result.stars);
+        }
+        if (result.assists > (best.assists || 0)) { best.assists = result.assists; improved.push('assists'); }
+        return improved;
+    },
+
+    export() {
+        this.save();
+        const blob = new Blob([JSON.stringify(this.profile, null, 2)], { type: 'application/json' });
+        const a = document.createElement('a');
+        a.href = URL.createObjectURL(blob);
+        a.download = 'mars-shot-profile.json';
+        document.body.appendChild(a); a.click(); a.remove();
+        setTimeout(() => URL.revokeObjectURL(a.href), 1000);
+    },
+
+    async import(file) {
+        let data;
+        try { data = this.migrate(JSON.parse(await file.text())); }
+        catch (err) { alert(t('alert.importFailed', { file: file.name, error: err.message })); return; }
+        this.apply(data);
+        this.save();
+        UIManager.refreshProgress();
+    },
+
+    reset() {
+        if (!confirm(t('confirm.resetProgress'))) return;
+        try { localStorage.removeItem(SAVE_KEY); } catch (err) { /* storage unavailable */ }
+        this.apply(this.defaults());
+        this.save();
+        UIManager.refreshProgress();
+    }
+};
+
+// Level editor: a separate EDITOR mode that edits a copy of a level on the canvas. Bodies are
+// shown frozen at their start positions; world units are layout units, so no conversion is needed.
+const LevelEditor = {
+    level: null,
+    selected: null,    // { kind: 'body' | 'belt', index }
+    tool: 'select',
+    drag: null,
+    errors: [],
+
+    open(level = LevelLoader.getLevel(gameState.level)) {
+        const copy = JSON.parse(JSON.stringify(level));
+        copy.layout = JSON.parse(JSON.stringify(LevelLoader.getLayout(level)));
+        this.level = copy;
+        this.selected = null;
+        this.enter();
+    },
+
+    enter() {
+        LevelLoader.testLevel = null;
+        gameState.mode = 'EDITOR'; gameState.isPaused = false; gameState.isThrusting = false;
+        FlightRecorder.current = null;
+        physics.ghostTrail = []; physics.particles = [];
+        ['message', 'pauseMenu', 'storeModal', 'settingsModal', 'replayBar'].forEach(id => { document.getElementById(id).style.display = 'none'; });
+        document.body.classList.add('editing');
+        document.body.classList.remove('editor-testing');
+        this.setTool('select');
+        this.rebuild();
+    },
+
+    close() {
+        LevelLoader.testLevel = null;
+        this.level = null;
+        document.body.classList.remove('editing', 'editor-testing');
+        resetGame('stay');
+    },
+
+    testFly() {
+        if (this.errors.length > 0) return;
+        LevelLoader.testLevel = JSON.parse(JSON.stringify(this.level));
+        document.body.classList.remove('editing');
+        document.body.classList.add('editor-testing');
+        gameState.seed = null;
+        resetGame('stay');
+    },
+
+    // Rebuilds the preview from the layout; called after every edit.
+    rebuild() {
+        Random.seed(LevelLoader.getSeed(this.level));
+        const world = currentWorld();
+        physics.world = world;
+        physics.sim = new Simulation(buildSystem(this.level.layout, this.level, world), simOptions(world, this.level));
+        this.errors = validateLevelData({ levels: [this.level], upgrades: LevelLoader.data.upgrades }).map(e => e.replace(/^levels\[0\]\./, ''));
+        this.render();
+    },
+
+    // Where a body currently sits (or the world origin)
+    layoutPos(id) {
+        const body = id && physics.sim.bodies.find(b => b.id === id);
+        return body ? { x: body.pos.x, y: body.pos.y } : { x: 0, y: 0 };
+    },
+    // Bodies listed before spec: the only valid parents
+    parentIds(spec) {
+        const bodies = this.level.layout.bodies;
+        return bodies.slice(0, bodies.indexOf(spec)).map(b => b.id);
+    },
+    selectedSpec() {
+        if (!this.selected) return null;
+        const list = this.selected.kind === 'body' ? this.level.layout.bodies : this.level.layout.belts;
+        return list[this.selected.index] || null;
+    },
+
+    setTool(tool) {
+        this.tool = tool;
+        document.querySelectorAll('.editor-tool').forEach(btn => btn.classList.toggle('active', btn.dataset.tool === tool));
+    },
+
+    pointerDown(mouse) {
+        if (this.tool !== 'select') { this.place(this.tool, mouse); this.setTool('select'); return; }
+        this.selected = this.hitTest(mouse);
+        this.drag = this.selected;
+        this.render();
+    },
+
+    pointerMove(mouse) {
+        const spec = this.drag && this.selectedSpec();
+        if (!spec) return;
+        if (this.drag.kind === 'body') this.moveBody(spec, mouse);
+        else this.moveBelt(spec, mouse);
+        this.rebuild();
+    },
+
+    pointerUp() { this.drag = null; },
+
+    onKey(e) {
+        if ((e.key === 'Delete' || e.key === 'Backspace') && this.selected) { e.preventDefault(); this.deleteSelected(); }
+        else if (e.key === 'Escape') { this.selected = null; this.setTool('select'); this.render(); }
+    },
+
+    hitTest(mouse) {
+        const bodies = this.level.layout.bodies;
+        for (let i = bodies.length - 1; i >= 0; i--) {
+            const body = physics.sim.bodies.find(b => b.id === bodies[i].id);
+            if (body && body.pos.sub(new Vector(mouse.x, mouse.y)).mag() < Math.max(body.radius, 12)) return { kind: 'body', index: i };
+        }
+        const belts = this.level.layout.belts || [];
+        const p = mouse;
+        for (let i = belts.length - 1; i >= 0; i--) {
+            const c = this.layoutPos(belts[i].parent);
+            const d = Math.hypot(p.x - c.x, p.y - c.y);
+            if (d >= belts[i].innerRadius - 5 && d <= belts[i].outerRadius + 5) return { kind: 'belt', index: i };
+        }
+        return null;
+    },
+
+    // Orbiting bodies are dragged around their centre (changing radius and start angle),
+    // fixed ones are simply moved. Comets are dragged by their periapsis, which also turns the orbit round.
+    moveBody(spec, p) {
+        if (spec.type === 'comet') {
+            const c = spec.parent ? this.layoutPos(spec.parent) : { x: spec.x || 0, y: spec.y || 0 };
+            spec.periapsis = Math.max(1, Math.round(Math.hypot(p.x - c.x, p.y - c.y)));
+            spec.apoapsis = Math.max(spec.apoapsis || 0, spec.periapsis);
+            spec.argument = Math.round(Math.atan2(p.y - c.y, p.x - c.x) * 100) / 100;
+            spec.startAngle = 0;
+            return;
+        }
+        const orbits = spec.parent || spec.orbitRadius > 0;
+        if (!orbits) { spec.x = Math.round(p.x); spec.y = Math.round(p.y); return; }
+        const c = spec.parent ? this.layoutPos(spec.parent) : { x: spec.x || 0, y: spec.y || 0 };
+        spec.orbitRadius = Math.max(1, Math.round(Math.hypot(p.x - c.x, p.y - c.y)));
+        spec.startAngle = Math.round(Math.atan2(p.y - c.y, p.x - c.x) * 100) / 100;
+    },
+
+    moveBelt(belt, p) {
+        const c = this.layoutPos(belt.parent);
+        const half = (belt.outerRadius - belt.innerRadius) / 2;
+        const mid = Math.max(half, Math.round(Math.hypot(p.x - c.x, p.y - c.y)));
+        belt.innerRadius = mid - half; belt.outerRadius = mid + half;
+    },
+
+    nearest(types, p) {
+        let best = null, bestDist = Infinity;
+        this.level.layout.bodies.forEach(spec => {
+            if (!types.includes(spec.type)) return;
+            const c = this.layoutPos(spec.id);
+            const d = Math.hypot(p.x - c.x, p.y - c.y);
+            if (d < bestDist) { best = spec; bestDist = d; }
+        });
+        return best;
+    },
+
+    uniqueId(base) {
+        const ids = new Set(this.level.layout.bodies.map(b => b.id));
+        let n = 1;
+        while (ids.has(`${base}${n}`)) n++;
+        return `${base}${n}`;
+    },
+
+    place(tool, p) {
+        const { parentTypes, width, ...template } = EDITOR_TEMPLATES[tool];
+        const parent = parentTypes ? this.nearest(parentTypes, p) : null;
+        const c = parent ? this.layoutPos(parent.id) : { x: 0, y: 0 };
+        const dist = Math.round(Math.hypot(p.x - c.x, p.y - c.y));
+        const layout = this.level.layout;
+        if (tool === 'belt') {
+            const belt = { ...template, innerRadius: Math.max(0, dist - width / 2), outerRadius: Math.max(width, dist + width / 2) };
+            if (parent) belt.parent = parent.id;
+            layout.belts = layout.belts || [];
+            layout.belts.push(belt);
+            this.selected = { kind: 'belt', index: layout.belts.length - 1 };
+        } else {
+            const spec = { id: this.uniqueId(tool), ...template };
+            if (parent && dist > 0) {
+                spec.parent = parent.id;
+                spec.orbitRadius = dist;
+                spec.startAngle = Math.round(Math.atan2(p.y - c.y, p.x - c.x) * 100) / 100;
+            } else {
+                delete spec.orbitSpeed;
+                spec.x = Math.round(p.x); spec.y = Math.round(p.y);
+            }
+            layout.bodies.push(spec);
+            this.selected = { kind: 'body', index: layout.bodies.length - 1 };
+        }
+        this.rebuild();
+    },
+
+    // Removing a body also removes whatever orbits it.
+    deleteSelected() {
+        const layout = this.level.layout;
+        const spec = this.selectedSpec();
+        if (!spec) return;
+        if (this.selected.kind === 'belt') {
+            layout.belts.splice(this.selected.index, 1);
+        } else {
+            const gone = new Set([spec.id]);
+            layout.bodies.forEach(b => { if (gone.has(b.parent)) gone.add(b.id); });
+            layout.bodies = layout.bodies.filter(b => !gone.has(b.id));
+            layout.bodies.forEach(b => { if (gone.has(b.link)) delete b.link; });
+            if (layout.belts) layout.belts = layout.belts.filter(b => !gone.has(b.parent));
+        }
+        this.selected = null;
+        this.rebuild();
+    },
+
+    // Makes the selected body the start or target planet; the previous one becomes a planet.
+    markAs(type) {
+        const spec = this.selectedSpec();
+        if (!spec || this.selected.kind !== 'body') return;
+        this.level.layout.bodies.forEach(b => { if (b.type === type) { b.type = 'planet'; if (b.color === BODY_COLORS[type]) delete b.color; } });
+        spec.type = type;
+        this.rebuild();
+    },
+
+    setField(target, field, raw) {
+        const old = target[field.key];
+        let value = raw;
+        if (field.type === 'number') value = raw === '' ? undefined : parseFloat(raw);
+        else if (field.type === 'checkbox') value = raw || undefined;
+        else if (raw === '' && field.key !== 'id') value = undefined;
+        if (value === undefined || Number.isNaN(value)) delete target[field.key];
+        else target[field.key] = value;
+
+        if (target === this.level) { this.render(); return; }
+        const layout = this.level.layout;
+        if (field.key === 'id' && old !== value) {
+            layout.bodies.forEach(b => { if (b.parent === old) b.parent = value; if (b.link === old) b.link = value; });
+            (layout.belts || []).forEach(b => { if (b.parent === old) b.parent = value; });
+        }
+        // Wormholes come in pairs: linking one links its partner back and frees their old partners.
+        if (field.key === 'link') {
+            const freed = new Set([target.id, old, value].filter(Boolean));
+            layout.bodies.forEach(b => { if (b !== target && (freed.has(b.id) || freed.has(b.link))) delete b.link; });
+            const other = layout.bodies.find(b => b.id === value);
+            if (other) other.link = target.id;
+        }
+        if (field.key === 'parent' && value && target.type !== 'comet' && !(target.orbitRadius > 0)) {
+            const c = this.layoutPos(value), p = this.layoutPos(target.id);
+            target.orbitRadius = Math.max(1, Math.round(Math.hypot(p.x - c.x, p.y - c.y)));
+        }
+        this.rebuild();
+    },
+
+    // Renders the level fields, the inspector for the selection and the validation result.
+    render() {
+        const fill = (container, fields, target) => {
+            while (container.firstChild) container.removeChild(container.firstChild);
+            fields.forEach(field => {
+                const row = document.createElement('label'); row.className = 'editor-field';
+                const name = document.createElement('span'); name.textContent = field.key;
+                let input;
+                if (field.type === 'select') {
+                    input = document.createElement('select');
+                    field.options(this, target).forEach(v => {
+                        const opt = document.createElement('option');
+                        opt.value = v; opt.textContent = v === '' ? t('editor.none') : v;
+                        input.appendChild(opt);
+                    });
+                    input.value = target[field.key] !== undefined ? target[field.key] : '';
+                } else {
+                    input = document.createElement('input');
+                    input.type = field.type;
+                    if (field.step) input.step = field.step;
+                    if (field.type === 'checkbox') input.checked = !!target[field.key];
+                    else input.value = target[field.key] !== undefined ? target[field.key] : '';
+                }
+                eventManager.on(input, 'change', () => this.setField(target, field, field.type === 'checkbox' ? input.checked : input.value));
+                row.appendChild(name); row.appendChild(input); container.appendChild(row);
+            });
+        };
+
+        fill(document.getElementById('editorLevelFields'), EDITOR_FIELDS.level, this.level);
+        const spec = this.selectedSpec();
+        const inspector = document.getElementById('editorInspector');
+        if (spec) fill(inspector, EDITOR_FIELDS[this.selected.kind].filter(f => !f.types || f.types.includes(spec.type)), spec);
+        else inspector.textContent = this.tool === 'select' ? t('editor.hint') : '';
+        document.getElementById('editorSelectionActions').style.display = spec ? 'flex' : 'none';
+        document.getElementById('editorMarkStartBtn').style.display = spec && this.selected.kind === 'body' ? 'block' : 'none';
+        document.getElementById('editorMarkTargetBtn').style.display = spec && this.selected.kind === 'body' ? 'block' : 'none';
+
+        const errors = document.getElementById('editorErrors');
+        errors.textContent = this.errors.length > 0 ? this.errors.join('\n') : t('editor.layoutOk');
+        errors.classList.toggle('ok', this.errors.length === 0);
+        document.getElementById('editorTestBtn').disabled = this.errors.length > 0;
+        document.getElementById('statusText').innerText = t('editor.title');
+        document.getElementById('statusText').style.color = '#9d00ff';
+    },
+
+    // Same shape as levels.json: a level list plus the upgrades, so the file loads as-is.
+    export() {
+        const data = { levels: [this.level], upgrades: LevelLoader.data.upgrades };
+        const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+        const a = document.createElement('a');
+        a.href = URL.createObjectURL(blob);
+        a.download = `mars-shot-level-${(this.level.name || 'custom').replace(/[^a-z0-9]+/gi, '-').toLowerCase()}.json`;
+        document.body.appendChild(a); a.click(); a.remove();
+        setTimeout(() => URL.revokeObjectURL(a.href), 1000);
+    },
+
+    // Accepts a levels.json-style file and edits its first level.
+    async import(file) {
+        let data;
+        try { data = JSON.parse(await file.text()); }
+        catch (err) { alert(t('alert.importFailed', { file: file.name, error: err.message })); return; }
+        const errors = validateLevelData(data);
+        if (errors.length > 0) { alert(t('alert.badLevel', { file: file.name, errors: errors.join('\n- ') })); return; }
+        const level = data.levels[0];
+        this.open({ ...level, layout: level.layout || data.defaultLayout });
+    }
+};
+
+// Procedural sound: everything is synthesised with Web Audio, so there are no asset files.
+// Browsers only let audio start from a user gesture, so the context is created on the first
+// tap, click or key press. Effects and music have their own gain buses under a master gain;
+// volumes and mute live in settings.
+const AudioEngine = {
+    ctx: null,
+    master: null,
+    sfx: null,
+    music: null,
+    noise: null,          // one second of white noise, shared by every noisy sound
+    engine: null,         // looping rumble: { gain, filter }
+    nextNote: 0,          // context time of the next music note
+    unlocked: false,
+
+    init() {
+        const unlock = () => this.unlock();
+        ['pointerdown', 'touchend', 'keydown'].forEach(type => eventManager.on(window, type, unlock, { passive: true }));
+        eventManager.on(document, 'visibilitychange', () => {
+            if (!this.ctx) return;
+            if (document.hidden) this.ctx.suspend(); else this.ctx.resume();
+        });
+    },
+
+    unlock() {
+        const Ctx = window.AudioContext || window.webkitAudioContext;
+        if (!Ctx) return;
+        if (!this.ctx) {
+            this.ctx = new Ctx();
+            this._build();
+        }
+        if (this.ctx.state === 'suspended') this.ctx.resume();
+        if (this.unlocked) return;
+        // iOS keeps the output silent until a sound has started inside a gesture.
+        const blank = this.ctx.createBufferSource();
+        blank.buffer = this.ctx.createBuffer(1, 1, 22050);
+        blank.connect(this.ctx.destination);
+        blank.start(0);
+        this.unlocked = true;
+    },
+
+    _build() {
+        const ctx = this.ctx;
+        this.master = ctx.createGain(); this.master.connect(ctx.destination);
+        this.sfx = ctx.createGain(); this.sfx.connect(this.master);
+        this.music = ctx.createGain(); this.music.connect(this.master);
+        this.applyVolumes();
+
+        this.noise = ctx.createBuffer(1, ctx.sampleRate, ctx.sampleRate);
+        const data = this.noise.getChannelData(0);
+        for (let i = 0; i < data.length; i++) data[i] = Math.random() * 2 - 1;
+
+        const src = ctx.createBufferSource(); src.buffer = this.noise; src.loop = true;
+        const filter = ctx.createBiquadFilter(); filter.type = 'lowpass'; filter.frequency.value = 300;
+        const gain = ctx.createGain(); gain.gain.value = 0;
+        src.connect(filter); filter.connect(gain); gain.connect(this.sfx);
+        src.start();
+        this.engine = { gain, filter };
+
+        // Low drone under the music.
+        [55, 82.5].forEach(freq => {
+            const osc = ctx.createOscillator(), g = ctx.createGain();
+            osc.frequency.value = freq; g.gain.value = 0.08;
+            osc.connect(g); g.connect(this.music); osc.start();
+        });
+        this.nextNote = ctx.currentTime + 1;
+    },
+
+    applyVolumes() {
+        if (!this.ctx) return;
+        const now = this.ctx.currentTime;
+        this.master.gain.setTargetAtTime(settings.muted ? 0 : settings.masterVolume, now, 0.05);
+        this.sfx.gain.setTargetAtTime(settings.sfxVolume, now, 0.05);
+        this.music.gain.setTargetAtTime(settings.musicVolume, now, 0.05);
+    },
+
+    _live() { return !!this.ctx && this.ctx.state === 'running'; },
+
+    // Per frame: the engine rumble follows the real engine (pointer, keys, pad or a planned
+    // burn), louder and brighter with the throttle and duller as the tank drains; it sputters
+    // when nearly empty. Also keeps the music going.
+    update(sim) {
+        if (!this._live()) return;
+        const now = this.ctx.currentTime;
+        const rocket = sim.rocket;
+        let level = 0, cutoff = 300;
+        if (rocket && rocket.thrusting && gameState.mode === 'FLYING' && !gameState.isPaused && !Maneuvers.planning) {
+            const fuel = sim.stats.maxFuel > 0 ? rocket.fuel / sim.stats.maxFuel : 0;
+            const throttle = rocket.throttle !== undefined ? rocket.throttle : 1;
+            level = 0.15 + 0.3 * throttle;
+            cutoff = 200 + 1000 * throttle * (0.4 + 0.6 * fuel);
+            if (fuel < 0.2 && Math.random() < 0.3) level *= 0.3;
+        }
+        this.engine.gain.gain.setTargetAtTime(level, now, 0.05);
+        this.engine.filter.frequency.setTargetAtTime(cutoff, now, 0.05);
+        this._music(now);
+    },
+
+    // A slow pentatonic line over the drone, scheduled a moment ahead.
+    _music(now) {
+        if (now < this.nextNote - 0.2) return;
+        const scale = [220, 247.5, 293.3, 330, 391.1, 440, 495, 586.7];
+        const at = Math.max(this.nextNote, now);
+        this._tone(scale[Math.floor(Math.random() * scale.length)], at, 3, { gain: 0.06, attack: 0.8, bus: this.music });
+        this.nextNote = at + 1.5 + Math.random() * 2.5;
+    },
+
+    _tone(freq, start, dur, { type = 'sine', gain = 0.2, attack = 0.01, slide = null, bus = this.sfx } = {}) {
+        const osc = this.ctx.createOscillator(), g = this.ctx.createGain();
+        osc.type = type;
+        osc.frequency.setValueAtTime(freq, start);
+        if (slide) osc.frequency.exponentialRampToValueAtTime(slide, start + dur);
+        g.gain.setValueAtTime(0.0001, start);
+        g.gain.exponentialRampToValueAtTime(gain, start + attack);
+        g.gain.exponentialRampToValueAtTime(0.0001, start + dur);
+        osc.connect(g); g.connect(bus);
+        osc.start(start); osc.stop(start + dur + 0.05);
+    },
+
+    // Filtered noise with its cutoff swept from `from` to `to` Hz.
+    _noise(start, dur, { gain = 0.3, type = 'lowpass', from, to }) {
+        const src = this.ctx.createBufferSource(); src.buffer = this.noise; src.loop = true;
+        const filter = this.ctx.createBiquadFilter(); filter.type = type;
+        filter.frequency.setValueAtTime(from, start);
+        filter.frequency.exponentialRampToValueAtTime(to, start + dur);
+        const g = this.ctx.createGain();
+        g.gain.setValueAtTime(0.0001, start);
+        g.gain.exponentialRampToValueAtTime(gain, start + 0.02);
+        g.gain.exponentialRampToValueAtTime(0.0001, start + dur);
+        src.connect(filter); filter.connect(g); g.connect(this.sfx);
+        src.start(start); src.stop(start + dur + 0.05);
+    },
+
+    // power is the launch meter / drag ratio, 0-1.
+    launch(power) {
+        if (!this._live()) return;
+        const now = this.ctx.currentTime;
+        this._noise(now, 0.4 + 0.6 * power, { gain: 0.15 + 0.35 * power, type: 'bandpass', from: 300, to: 1500 + 2500 * power });
+        this._tone(90, now, 0.5 + 0.4 * power, { gain: 0.2 + 0.2 * power, slide: 40 });
+    },
+
+    // size 1 is a full crash; shield hits are smaller.
+    explosion(size) {
+        if (!this._live()) return;
+        const now = this.ctx.currentTime;
+        this._noise(now, 0.5 + 0.7 * size, { gain: 0.2 + 0.4 * size, from: 2500, to: 60 });
+        this._tone(110, now, 0.4 + 0.4 * size, { gain: 0.4 * size + 0.1, slide: 30 });
+    },
+
+    fanfare() {
+        if (!this._live()) return;
+        const now = this.ctx.currentTime;
+        [523.3, 659.3, 784, 1046.5].forEach((freq, i) => {
+            this._tone(freq, now + i * 0.12, i === 3 ? 0.9 : 0.25, { type: 'triangle', gain: 0.25 });
+        });
+    },
+
+    click() {
+        if (!this._live()) return;
+        this._tone(1200, this.ctx.currentTime, 0.05, { type: 'square', gain: 0.05 });
+    },
+
+    warp() {
+        if (!this._live()) return;
+        const now = this.ctx.currentTime;
+        this._tone(200, now, 0.5, { gain: 0.2, slide: 1600 });
+        this._noise(now, 0.5, { gain: 0.1, type: 'bandpass', from: 400, to: 4000 });
+    },
+
+    // Three warning beeps as a flare is telegraphed.
+    flare() {
+        if (!this._live()) return;
+        const now = this.ctx.currentTime;
+        for (let i = 0; i < 3; i++) this._tone(440, now + i * 0.25, 0.15, { type: 'square', gain: 0.08 });
+    }
+};
+
+// Registers the service worker (sw.js) that makes the game installable and playable
+// offline, and offers to reload when a new build has been downloaded in the background.
+const Updater = {
+    reg: null,
+    accepted: false,   // the player pressed Reload; the next controller change reloads the page
+
+    init() {
+        if (!('serviceWorker' in navigator) || !/^https?:$/.test(location.protocol)) return;
+        // The first install also changes controller (clients.claim); only reload when asked to.
+        navigator.serviceWorker.addEventListener('controllerchange', () => {
+            if (!this.accepted) return;
+            this.accepted = false;
+            location.reload();
+        });
+        navigator.serviceWorker.register('sw.js').then(reg => {
+            this.reg = reg;
+            if (reg.waiting && navigator.serviceWorker.controller) UIManager.showUpdate(true);
+            reg.addEventListener('updatefound', () => {
+                const worker = reg.installing;
+                if (!worker) return;
+                worker.addEventListener('statechange', () => {
+                    if (worker.state === 'installed' && navigator.serviceWorker.controller) UIManager.showUpdate(true);
+                });
+            });
+        }).catch(err => console.warn('Service worker registration failed.', err));
+        // Installed apps can stay open for days; look for a new build whenever the game comes back.
+        eventManager.on(document, 'visibilitychange', () => {
+            if (!document.hidden && this.reg) this.reg.update().catch(() => {});
+        });
+    },
+
+    // Hand over to the waiting worker; its controllerchange reloads the page.
+    apply() {
+        UIManager.showUpdate(false);
+        this.accepted = true;
+        if (this.reg && this.reg.waiting) this.reg.waiting.postMessage({ type: 'SKIP_WAITING' });
+        else location.reload();
+    }
+};
+
+// Screen-reader announcements through the live regions in index.html: #liveStatus waits its
+// turn, #liveAlert interrupts (fuel warnings and the end of a flight).
+const Announcer = {
+    fuelLevel: 0,     // index of the next GameConfig.FUEL_WARNINGS threshold to announce
+    closest: null,    // { distance, tick } of the latest closest approach until it's announced
+
+    say(text, urgent = false) {
+        const region = document.getElementById(urgent ? 'liveAlert' : 'liveStatus');
+        // Clearing first makes a repeated message read out again.
+        region.textContent = '';
+        setTimeout(() => { region.textContent = text; }, 50);
+    },
+
+    reset() { this.fuelLevel = 0; this.closest = null; },
+
+    onClosest(distance, tick) { this.closest = { distance, tick }; },
+
+    update(sim) {
+        const rocket = sim.rocket;
+        if (gameState.mode !== 'FLYING' || !rocket) return;
+        const warnings = GameConfig.FUEL_WARNINGS;
+        const share = rocket.fuel / sim.stats.maxFuel;
+        // A fuel pickup re-arms the warnings it refilled past.
+        while (this.fuelLevel > 0 && share > warnings[this.fuelLevel - 1]) this.fuelLevel--;
+        let crossed = null;
+        while (this.fuelLevel < warnings.length && share <= warnings[this.fuelLevel]) crossed = warnings[this.fuelLevel++];
+        if (crossed !== null) this.say(crossed > 0 ? t('announce.fuelLow', { pct: Math.round(share * 100) }) : t('announce.fuelEmpty'), true);
+        // 'closest' fires on every new minimum, so wait until the distance stops shrinking.
+        if (this.closest && sim.tick - this.closest.tick >= GameConfig.CLOSEST_ANNOUNCE_TICKS) {
+            this.say(t('announce.closest', { distance: Math.floor(this.closest.distance) }));
+            this.closest = null;
+        }
+    }
+};
+
+const UIManager = {
+    init() { 
+        const languages = document.getElementById('languageInput');
+        LOCALES.forEach(locale => {
+            const opt = document.createElement('option');
+            opt.value = locale; opt.textContent = I18n.languageName(locale);
+            languages.appendChild(opt);
+        });
+        this.populateLevelSelector();
+        this.setupEventListeners(); 
+        this.renderTacticalButton();
+        this.renderMuteButton();
+    },
+    populateLevelSelector() {
+        const sel = document.getElementById('levelSelect');
+        sel.innerHTML = '';
+        LevelLoader.levels.forEach(l => {
+            const opt = document.createElement('option');
+            const locked = !SaveSystem.isUnlocked(l.id);
+            const stars = SaveSystem.getBest(l.id).stars;
+            opt.value = l.id; opt.innerText = `${locked ? '🔒 ' : ''}${I18n.content(l.name)} · ${t(`difficulty.${l.difficulty}`)}${stars ? ` · ${ScoreSystem.starText(stars)}` : ''}`;
+            opt.disabled = locked;
+            if (l.description) opt.title = I18n.content(l.description);
+            sel.appendChild(opt);
+        });
+    },
+    showLevelInfo() {
+        const level = LevelLoader.getLevel(gameState.level);
+        const info = document.getElementById('levelDescription');
+        if (!info) return;
+        info.textContent = level.description ? I18n.content(level.description) : '';
+        if (level.insertion) {
+            const rules = { ...GameConfig.INSERTION_DEFAULTS, ...level.insertion };
+            info.textContent += t('level.rules', { speed: rules.maxLandingSpeed, seconds: rules.captureTicks / 60 });
+        }
+        info.dataset.difficulty = level.difficulty;
+        const best = SaveSystem.getBest(level.id);
+        const parts = [];
+        if (best.stars) parts.push(`${ScoreSystem.starText(best.stars)} ${I18n.number(best.score)}`);
+        if (best.closest !== undefined) parts.push(t('best.closest', { distance: best.closest }));
+        if (best.fuelUsed !== undefined) parts.push(t('best.fuel', { fuel: best.fuelUsed }));
+        if (best.landingTicks !== undefined) parts.push(t('best.time', { seconds: best.landingTicks / 60 }));
+        if (best.assists) parts.push(t('best.assists', { count: best.assists }));
+        document.getElementById('levelBest').textContent = parts.length ? t('level.best', { parts: parts.join(' · ') }) : '';
+    },
+    // Switches to the language in settings and re-renders every translated text on screen.
+    applyLanguage() {
+        I18n.setLocale(settings.language === 'auto' ? detectLocale(navigator.languages) : settings.language);
+        document.documentElement.lang = I18n.locale;
+        this.translatePage();
+    },
+    translatePage() {
+        document.querySelectorAll('[data-i18n]').forEach(node => { node.textContent = t(node.dataset.i18n); });
+        document.querySelectorAll('[data-i18n-title]').forEach(node => { node.title = t(node.dataset.i18nTitle); });
+    },
+    changeLanguage(language) {
+        settings.language = language;
+        SaveSystem.save();
+        this.applyLanguage();
+        this.refreshText();
+    },
+    // Texts built in code; mission objectives re-render on their own next frame.
+    refreshText() {
+        Camera.setFollow(Camera.follow);
+        this.populateLevelSelector();
+        document.getElementById('levelSelect').value = gameState.level;
+        this.showLevelInfo();
+        this.renderSettings();
+        this.renderMuteButton();
+        if (document.getElementById('storeModal').style.display === 'block') this.renderStore();
+        document.getElementById('coinText').innerText = I18n.number(gameState.coins);
+        if (gameState.mode === 'IDLE' || gameState.mode === 'FLYING') {
+            document.getElementById('statusText').innerText = gameState.isPaused ? t('status.paused') : Controls.hint(gameState.mode);
+        }
+    },
+    // After the profile was imported or reset
+    refreshProgress() {
+        if (!SaveSystem.isUnlocked(gameState.level)) gameState.level = SaveSystem.profile.highestUnlocked;
+        this.applyLanguage();
+        Camera.setFollow(Camera.follow);
+        this.populateLevelSelector();
+        this.renderSettings();
+        this.renderTacticalButton();
+        this.renderMuteButton();
+        AudioEngine.applyVolumes();
+        if (document.getElementById('storeModal').style.display === 'block') this.renderStore();
+        if (gameState.mode === 'IDLE') resetGame('stay');
+        else document.getElementById('coinText').innerText = I18n.number(gameState.coins);
+    },
+    showSeed() {
+        const input = document.getElementById('seedInput');
+        if (input && document.activeElement !== input) input.value = gameState.seed;
+    },
+    setupEventListeners() {
+        const el = (id) => document.getElementById(id);
+        
+        // Helper to bind clicks safely
+        const bindClick = (element, handler) => {
+            if (element) {
+                eventManager.on(element, 'click', (e) => {
+                    e.stopPropagation(); // Stop propagation to canvas
+                    AudioEngine.click();
+                    handler(e);
+                });
+                // Also prevent touchstart from propagating for buttons
+                eventManager.on(element, 'touchstart', (e) => e.stopPropagation(), { passive: true });
+            }
+        };
+
+        bindClick(el('resetLevelBtn'), () => resetGame('stay'));
+        bindClick(el('updateReloadBtn'), () => Updater.apply());
+        bindClick(el('updateLaterBtn'), () => this.showUpdate(false));
+        bindClick(el('storeToggleBtn'), () => this.openStore());
+        bindClick(el('storeCloseBtn'), () => this.closeStore());
+        bindClick(el('pauseBtn'), () => this.togglePause());
+        bindClick(el('settingsBtn'), () => this.openSettings());
+        bindClick(el('settingsCloseBtn'), () => this.closeSettings());
+        eventManager.on(el('predictionTicksInput'), 'input', (e) => {
+            settings.predictionTicks = parseInt(e.target.value);
+            this.renderSettings();
+        });
+        eventManager.on(el('predictionTicksInput'), 'change', () => SaveSystem.save());
+        eventManager.on(el('flightPredictionInput'), 'change', (e) => { settings.showFlightPrediction = e.target.checked; SaveSystem.save(); });
+        eventManager.on(el('physicsDebugInput'), 'change', (e) => {
+            settings.showPhysicsDebug = physics.sim.config.trackEnergy = e.target.checked;
+            SaveSystem.save();
+        });
+        const changeControls = () => {
+            settings.controls = el('controlsInput').value;
+            settings.steering = el('steeringInput').value;
+            Controls.release(false);
+            gameState.isThrusting = false;
+            SaveSystem.save();
+            if (gameState.mode === 'IDLE' || gameState.mode === 'FLYING') document.getElementById('statusText').innerText = Controls.hint(gameState.mode);
+        };
+        eventManager.on(el('controlsInput'), 'change', changeControls);
+        ['master', 'sfx', 'music'].forEach(key => {
+            const input = el(`${key}VolumeInput`);
+            eventManager.on(input, 'input', () => {
+                settings[`${key}Volume`] = parseInt(input.value) / 100;
+                AudioEngine.applyVolumes();
+                this.renderSettings();
+            });
+            eventManager.on(input, 'change', () => SaveSystem.save());
+        });
+        eventManager.on(el('mutedInput'), 'change', () => this.toggleMute());
+        eventManager.on(el('paletteInput'), 'change', (e) => { settings.palette = e.target.value; SaveSystem.save(); });
+        eventManager.on(el('reducedMotionInput'), 'change', (e) => { settings.reducedMotion = e.target.checked; SaveSystem.save(); });
+        eventManager.on(el('languageInput'), 'change', (e) => this.changeLanguage(e.target.value));
+        bindClick(el('muteBtn'), () => this.toggleMute());
+        eventManager.on(el('steeringInput'), 'change', changeControls);
+
+        bindClick(el('exportProgressBtn'), () => SaveSystem.export());
+        bindClick(el('importProgressBtn'), () => el('progressFileInput').click());
+        eventManager.on(el('progressFileInput'), 'change', (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (file) SaveSystem.import(file);
+        });
+        bindClick(el('resetProgressBtn'), () => SaveSystem.reset());
+
+        bindClick(el('watchReplayBtn'), () => ReplayPlayer.open(FlightRecorder.last));
+        bindClick(el('exportReplayBtn'), () => FlightRecorder.export());
+        bindClick(el('importReplayBtn'), () => el('replayFileInput').click());
+        eventManager.on(el('replayFileInput'), 'change', (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (file) FlightRecorder.import(file);
+        });
+        bindClick(el('replayPlayBtn'), () => ReplayPlayer.togglePlay());
+        bindClick(el('replayExportBtn'), () => FlightRecorder.export(ReplayPlayer.recording));
+        bindClick(el('replayExitBtn'), () => resetGame('stay'));
+        document.querySelectorAll('.replay-speed-btn').forEach(btn => bindClick(btn, () => ReplayPlayer.setSpeed(parseInt(btn.dataset.speed))));
+        const scrub = el('replayScrub');
+        eventManager.on(scrub, 'input', (e) => { ReplayPlayer.playing = false; ReplayPlayer.seek(parseInt(e.target.value)); });
+        eventManager.on(scrub, 'touchstart', (e) => e.stopPropagation(), { passive: true });
+        bindClick(el('retryBtn'), () => resetGame('stay'));
+        bindClick(el('nextLevelBtn'), () => resetGame('next'));
+        
+        const lvlSel = el('levelSelect');
+        if (lvlSel) {
+            eventManager.on(lvlSel, 'change', (e) => changeLevel(e.target.value));
+            // Ensure select dropdown works on mobile by stopping propagation
+            eventManager.on(lvlSel, 'touchstart', (e) => e.stopPropagation(), { passive: true });
+        }
+
+        const seedInput = el('seedInput');
+        if (seedInput) {
+            eventManager.on(seedInput, 'change', (e) => changeSeed(e.target.value));
+            eventManager.on(seedInput, 'keydown', (e) => { if (e.key === 'Enter') seedInput.blur(); });
+            eventManager.on(seedInput, 'touchstart', (e) => e.stopPropagation(), { passive: true });
+        }
+        bindClick(el('randomSeedBtn'), () => changeSeed(Math.floor(Math.random() * 1e9).toString(36)));
+
+        bindClick(el('cameraBtn'), () => Camera.setFollow(!Camera.follow));
+        bindClick(el('tacticalBtn'), () => this.toggleTactical());
+        bindClick(el('planBtn'), () => Maneuvers.setPlanning(!Maneuvers.planning));
+        bindClick(el('maneuverDoneBtn'), () => Maneuvers.setPlanning(false));
+        bindClick(el('maneuverDeleteBtn'), () => Maneuvers.deleteSelected());
+        ['prograde', 'radial'].forEach(key => {
+            eventManager.on(el(`${key}Input`), 'input', (e) => Maneuvers.setBurn(key, parseFloat(e.target.value)));
+        });
+        bindClick(el('openEditorBtn'), () => LevelEditor.open());
+        document.querySelectorAll('.editor-tool').forEach(btn => bindClick(btn, () => LevelEditor.setTool(btn.dataset.tool)));
+        bindClick(el('editorDeleteBtn'), () => LevelEditor.deleteSelected());
+        bindClick(el('editorMarkStartBtn'), () => LevelEditor.markAs('target_start'));
+        bindClick(el('editorMarkTargetBtn'), () => LevelEditor.markAs('target_end'));
+        bindClick(el('editorTestBtn'), () => LevelEditor.testFly());
+        bindClick(el('editorExportBtn'), () => LevelEditor.export());
+        bindClick(el('editorImportBtn'), () => el('levelFileInput').click());
+        eventManager.on(el('levelFileInput'), 'change', (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (file) LevelEditor.import(file);
+        });
+        bindClick(el('editorExitBtn'), () => LevelEditor.close());
+        bindClick(el('editorReturnBtn'), () => LevelEditor.enter());
+
+        bindClick(el('pauseResumeBtn'), () => this.togglePause());
+        bindClick(el('pauseRestartBtn'), () => { this.togglePause(); resetGame('stay'); });
+    },
+    // Star rating and score breakdown on the result screen; null hides it.
+    showScore(score) {
+        const box = document.getElementById('scoreBreakdown');
+        box.style.display = score ? 'block' : 'none';
+        if (!score) return;
+        document.getElementById('msgStars').textContent = ScoreSystem.starText(score.stars);
+        const table = document.getElementById('scoreLines');
+        while (table.firstChild) table.removeChild(table.firstChild);
+        const addRow = (label, value, cls) => {
+            const row = document.createElement('tr');
+            if (cls) row.className = cls;
+            const a = document.createElement('td'); a.textContent = label;
+            const b = document.createElement('td'); b.textContent = value;
+            row.appendChild(a); row.appendChild(b); table.appendChild(row);
+        };
+        score.lines.forEach(l => addRow(l.label, `+${I18n.number(l.points)}`));
+        if (score.multiplier !== 1) addRow(t('score.difficulty'), `×${I18n.number(score.multiplier)}`);
+        addRow(t('score.total'), I18n.number(score.total), 'score-total');
+    },
+    // Speed relative to Mars (and orbit capture progress) while the rocket is close to it.
+    showApproach(sim) {
+        const row = document.getElementById('approachRow');
+        const rocket = sim.rocket, target = sim.findBody('target_end');
+        const scale = sim.config.scale;
+        const dist = rocket && target ? rocket.pos.sub(target.pos).mag() : Infinity;
+        if (dist > GameConfig.APPROACH_HUD_DIST * scale) { row.style.display = 'none'; return; }
+        row.style.display = 'block';
+        const speed = sim.relativeSpeed(target) / scale;
+        const rules = sim.config.insertion;
+        const text = document.getElementById('approachText');
+        text.textContent = I18n.number(speed, 2) + (rules ? ` / ${I18n.number(rules.maxLandingSpeed, 2)}` : '');
+        text.style.color = rules && speed > rules.maxLandingSpeed ? '#ff4444' : '#44ff44';
+        document.getElementById('captureText').textContent = rules && rocket.captureTicks > 0
+            ? t('hud.orbitCapture', { pct: Math.floor(rocket.captureTicks / rules.captureTicks * 100) }) : '';
+    },
+    // Objective checklist; rebuilt only when its text changes.
+    showMission(sim) {
+        const panel = document.getElementById('missionPanel');
+        const show = Missions.active() && gameState.mode !== 'EDITOR' && gameState.mode !== 'REPLAY';
+        panel.style.display = show ? 'block' : 'none';
+        if (!show) return;
+        const lines = Missions.objectives.map((o, i) => ({
+            text: Missions.describe(o, sim),
+            state: o.done ? 'done' : i === Missions.current ? 'current' : 'todo'
+        }));
+        const key = lines.map(l => l.state + l.text).join('|');
+        if (key === this._missionKey) return;
+        this._missionKey = key;
+        const list = document.getElementById('missionList');
+        while (list.firstChild) list.removeChild(list.firstChild);
+        lines.forEach(l => {
+            const li = document.createElement('li');
+            li.className = l.state;
+            li.textContent = `${l.state === 'done' ? '✓' : l.state === 'current' ? '▶' : '○'} ${l.text}`;
+            list.appendChild(li);
+        });
+    },
+    // Keyboard and gamepad pilots see their throttle in flight and the power meter before launch.
+    showControls(sim) {
+        const row = document.getElementById('controlRow');
+        const scheme = Controls.scheme();
+        let text = null;
+        if (scheme !== 'pointer' && gameState.mode === 'IDLE') text = t('hud.launchPower', { pct: Math.round(Controls.power * 100) });
+        else if (scheme === 'keyboard' && sim.rocket) text = t('hud.throttle', { pct: Math.round(Controls.throttle * 100) });
+        else if (scheme === 'gamepad' && sim.rocket) text = t(Controls.pad ? 'hud.throttle' : 'hud.noGamepad', { pct: Math.round((Controls.pad ? Controls.pad.throttle : 0) * 100) });
+        row.style.display = text === null ? 'none' : 'block';
+        if (text !== null) row.textContent = text;
+    },
+    // Integration error in the rocket's orbital energy, and the sub-steps on the last tick.
+    showDebug(sim) {
+        const row = document.getElementById('debugRow');
+        const drift = settings.showPhysicsDebug ? sim.energyDrift() : null;
+        row.style.display = drift === null ? 'none' : 'block';
+        if (drift === null) return;
+        document.getElementById('debugText').textContent =
+            t('hud.substeps', { drift: `${drift >= 0 ? '+' : ''}${t('unit.percent', { value: I18n.number(drift * 100, 4) })}`, count: sim.substeps });
+    },
+    toggleTactical() {
+        settings.showTactical = !settings.showTactical;
+        SaveSystem.save();
+        this.renderTacticalButton();
+    },
+    renderTacticalButton() { document.getElementById('tacticalBtn').classList.toggle('active', settings.showTactical); },
+    toggleMute() {
+        settings.muted = !settings.muted;
+        SaveSystem.save();
+        AudioEngine.applyVolumes();
+        this.renderMuteButton();
+        this.renderSettings();
+    },
+    // Showing a dialog moves keyboard focus into it (to `initial` or its first control);
+    // hiding it gives focus back to whatever had it before.
+    modalReturn: {},
+    showModal(id, initial) {
+        const modal = document.getElementById(id);
+        if (modal.style.display !== 'block') this.modalReturn[id] = document.activeElement;
+        modal.style.display = 'block';
+        const target = initial || this._focusables(modal)[0];
+        if (target) target.focus();
+    },
+    hideModal(id) {
+        const modal = document.getElementById(id);
+        const open = modal.style.display === 'block';
+        modal.style.display = 'none';
+        if (!open) return;
+        const back = this.modalReturn[id];
+        delete this.modalReturn[id];
+        if (!modal.contains(document.activeElement)) return;
+        if (back && back.isConnected && back !== document.body) back.focus();
+        else document.activeElement.blur();
+    },
+    _focusables(root) {
+        return Array.from(root.querySelectorAll('button, input, select')).filter(c => !c.disabled && !c.hidden && c.style.display !== 'none');
+    },
+    // Keys while a dialog is open: Tab wraps around inside it, the arrow keys step between its
+    // buttons and Escape closes it. Returns true so gameplay keys don't act behind the dialog.
+    onModalKey(e) {
+        const open = MODALS.map(id => document.getElementById(id)).filter(m => m.style.display === 'block');
+        if (open.length === 0) return false;
+        const modal = open.find(m => m.contains(document.activeElement)) || open[0];
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            if (modal.id === 'pauseMenu') this.togglePause();
+            else if (modal.id === 'storeModal') this.closeStore();
+            else if (modal.id === 'settingsModal') this.closeSettings();
+            return true;
+        }
+        const items = this._focusables(modal);
+        const i = items.indexOf(document.activeElement);
+        let step = 0;
+        if (e.key === 'Tab') step = e.shiftKey ? -1 : 1;
+        else if (!['INPUT', 'SELECT'].includes(e.target.tagName)) {
+            if (e.key === 'ArrowDown' || e.key === 'ArrowRight') step = 1;
+            else if (e.key === 'ArrowUp' || e.key === 'ArrowLeft') step = -1;
+        }
+        if (step !== 0 && items.length > 0) {
+            e.preventDefault();
+            items[i < 0 ? 0 : (i + step + items.length) % items.length].focus();
+        }
+        return true;
+    },
+    showUpdate(visible) {
+        document.getElementById('updateBanner').classList.toggle('show', visible);
+    },
+    renderMuteButton() {
+        const btn = document.getElementById('muteBtn');
+        btn.textContent = t(settings.muted ? 'button.muted' : 'button.sound');
+        btn.classList.toggle('active', !settings.muted);
+    },
+    // Numbers for the tactical overlay. Δv is what the remaining fuel can still add at full
+    // thrust; altitude is above the surface of whichever body pulls hardest right now.
+    showTactical(sim, pred) {
+        const box = document.getElementById('tacticalReadout');
+        box.style.display = settings.showTactical && gameState.mode !== 'EDITOR' ? 'block' : 'none';
+        if (!settings.showTactical) return;
+        const scale = sim.config.scale;
+        const rocket = sim.rocket;
+        const stats = sim.stats || UpgradeSystem.getStats();
+        const perTick = stats.fuelPerTick !== undefined ? stats.fuelPerTick : sim.config.fuelPerTick;
+        const fuel = rocket ? rocket.fuel : stats.maxFuel;
+        const set = (id, text) => { document.getElementById(id).textContent = text; };
+        set('hudDeltaV', I18n.number(fuel / perTick * stats.thrustPower / scale, 1));
+        if (!rocket) { ['hudSpeed', 'hudAltitude', 'hudEncounter'].forEach(id => set(id, '--')); return; }
+
+        const orbit = osculatingOrbit(sim);
+        set('hudSpeed', I18n.number(rocket.vel.sub(orbit.body.vel).mag() / scale, 2));
+        let dominant = null, pull = -1;
+        sim.bodies.forEach(b => {
+            const d = Math.max(rocket.pos.sub(b.pos).mag(), 1);
+            if (b.mass / (d * d) > pull) { pull = b.mass / (d * d); dominant = b; }
+        });
+        set('hudAltitude', t('hud.altitudeValue', { distance: Math.round((rocket.pos.sub(dominant.pos).mag() - dominant.radius) / scale), body: Missions.bodyName(dominant.id || dominant.type) }));
+        const c = pred && pred.closest;
+        // The path's first tick being the closest means Mars is already falling behind.
+        if (!c) set('hudEncounter', '--');
+        else set('hudEncounter', t(c.tick > 1 ? 'hud.encounterIn' : 'hud.encounterAway', { distance: Math.floor(c.distance / scale), seconds: c.tick / 60 }));
+    },
+    flashAssist(deltaV) {
+        const callout = document.getElementById('assistCallout');
+        callout.textContent = t('hud.assist', { dv: deltaV });
+        callout.classList.remove('show');
+        void callout.offsetWidth;   // restart the animation
+        callout.classList.add('show');
+    },
+    showShield(charges) {
+        document.getElementById('shieldRow').style.display = charges > 0 ? 'block' : 'none';
+        document.getElementById('shieldText').textContent = '◆'.repeat(charges);
+    },
+    openSettings() {
+        this.renderSettings();
+        this.showModal('settingsModal');
+    },
+    closeSettings() { this.hideModal('settingsModal'); },
+    renderSettings() {
+        const ticks = document.getElementById('predictionTicksInput');
+        ticks.min = GameConfig.PREDICTION_MIN_TICKS; ticks.max = GameConfig.PREDICTION_MAX_TICKS;
+        ticks.value = settings.predictionTicks;
+        document.getElementById('predictionTicksText').textContent = t('unit.seconds', { value: settings.predictionTicks / 60 });
+        document.getElementById('flightPredictionInput').checked = settings.showFlightPrediction;
+        document.getElementById('physicsDebugInput').checked = settings.showPhysicsDebug;
+        document.getElementById('controlsInput').value = Controls.scheme();
+        document.getElementById('steeringInput').value = settings.steering;
+        ['master', 'sfx', 'music'].forEach(key => {
+            const v = Math.round(settings[`${key}Volume`] * 100);
+            document.getElementById(`${key}VolumeInput`).value = v;
+            document.getElementById(`${key}VolumeText`).textContent = t('unit.percent', { value: v });
+        });
+        document.getElementById('mutedInput').checked = settings.muted;
+        document.getElementById('paletteInput').value = settings.palette;
+        document.getElementById('reducedMotionInput').checked = settings.reducedMotion;
+        document.getElementById('languageInput').value = settings.language;
+    },
+    openStore() { this.renderStore(); this.showModal('storeModal'); },
+    closeStore() { this.hideModal('storeModal'); },
+    togglePause() {
+        if (gameState.mode === 'FLYING') {
+            gameState.isPaused = !gameState.isPaused;
+            if (gameState.isPaused) this.showModal('pauseMenu'); else this.hideModal('pauseMenu');
+            document.getElementById('statusText').innerText = gameState.isPaused ? t('status.paused') : Controls.hint('FLYING');
+        }
+    },
+    renderStore() {
+        const list = document.getElementById('upgradesList');
+        while (list.firstChild) list.removeChild(list.firstChild);
+        for (const key in UpgradeSystem.upgrades) {
+            const u = UpgradeSystem.upgrades[key];
+            const fx = UPGRADE_EFFECTS[key];
+            const missing = UpgradeSystem.missingRequirements(key);
+            const row = document.createElement('div'); row.className = 'upgrade-row';
+            if (missing.length > 0) row.classList.add('locked');
             const info = document.createElement('div'); info.className = 'upgrade-info';
             const name = document.createElement('span'); name.className = 'upgrade-name';
-            name.textContent = `${u.name} (Lvl ${u.level})`;
+            name.textContent = t('store.level', { name: I18n.content(u.name), level: u.level, max: u.max });
             info.appendChild(name);
+            if (u.description) {
+                const desc = document.createElement('span'); desc.className = 'upgrade-desc';
+                desc.textContent = I18n.content(u.description);
+                info.appendChild(desc);
+            }
+            const effect = document.createElement('span'); effect.className = 'upgrade-effect';
+            const now = fx.label(fx.value(u.level));
+            effect.textContent = u.level >= u.max ? t('store.now', { now }) : t('store.next', { now, next: fx.label(fx.value(u.level + 1)) });
+            info.appendChild(effect);
+            if (missing.length > 0) {
+                const req = document.createElement('span'); req.className = 'upgrade-req';
+                req.textContent = t('store.requires', { list: missing.map(m => t('store.requirement', { name: I18n.content(m.name), level: m.level })).join(', ') });
+                info.appendChild(req);
+            }
+
             const btn = document.createElement('button'); btn.className = 'buy-btn';
-            if (u.level >= u.max) { btn.textContent = 'MAX'; btn.disabled = true; }
-            else { btn.textContent = `Buy (${u.cost}c)`; btn.disabled = gameState.coins < u.cost; }
+            if (u.level >= u.max) { btn.textContent = t('store.max'); btn.disabled = true; }
+            else if (missing.length > 0) { btn.textContent = '🔒'; btn.disabled = true; }
+            else { btn.textContent = t('store.buy', { cost: u.cost }); btn.disabled = gameState.coins < u.cost; }
             
             // Bind click for store buttons
             btn.addEventListener('click', (ev) => { 
                 ev.stopPropagation(); 
-                if (!btn.disabled) buyUpgrade(key); 
+                if (!btn.disabled) UpgradeSystem.buy(key); 
             });
             btn.addEventListener('touchstart', (ev) => ev.stopPropagation(), { passive: true });
 
@@ -561,202 +3176,182 @@ const UIManager = {
 // 7. MAIN LOGIC
 // ===================================
 
-function calculateGravity() {
-    try {
-        if (!physics.rocket) return;
-        if (!physics.bodies || physics.bodies.length === 0) return;
-
-        const stats = UpgradeSystem.getStats();
-        const localG = GameConfig.G_BASE * gameData.scaleFactor;
-
-        if (gameState.isThrusting && physics.rocket.fuel > 0) {
-            const target = new Vector(InputManager.mouse.x, InputManager.mouse.y);
-            const force = target.sub(physics.rocket.pos);
-            force.normalize();
-            force.mult(stats.thrustPower);
-            physics.rocket.applyForce(force);
-            physics.rocket.fuel -= 0.5;
-            if (physics.rocket.fuel < 0) physics.rocket.fuel = 0;
-
-            if (gameData.frameCount % 3 === 0) {
-                const p = getPooledParticle(physics.rocket.pos.x, physics.rocket.pos.y, '#ffaa00');
-                physics.particles.push(p);
-            }
-        }
-
-        const fuelBarEl = document.getElementById('fuelBar');
-        if (fuelBarEl) {
-            const fuelPct = (physics.rocket.fuel / stats.maxFuel) * 100;
-            fuelBarEl.style.width = `${fuelPct}%`;
-        }
-
-        for (const body of physics.bodies) {
-            if (!body || !body.pos) continue;
-            if (body.type === 'rocket') continue;
-            
-            const force = body.pos.sub(physics.rocket.pos);
-            let dist = force.mag();
-            force.normalize();
-
-            const distClamped = Math.max(dist, 10 * gameData.scaleFactor);
-            let strength = (localG * body.mass) / (distClamped * distClamped);
-            if (body.type === 'sun') strength *= 1.0; 
-
-            force.mult(strength);
-            physics.rocket.applyForce(force);
-
-            const collisionDist = body.radius + (GameConfig.COLLISION_PADDING * gameData.scaleFactor);
-            if (dist < collisionDist) {
-                const rx = physics.rocket.pos.x;
-                const ry = physics.rocket.pos.y;
-
-                if (body.type === 'target_end') {
-                    endGame(true, 'landed');
-                } else if (body.type === 'target_start') {
-                    if (physics.rocket.age > 100) {
-                        endGame(false, 'crashed');
-                        spawnExplosion(rx, ry, body.color);
-                    }
-                } else {
-                    endGame(false, 'crashed');
-                    spawnExplosion(rx, ry, body.color);
-                }
-                return;
-            }
-        }
+// Thrust input for the current tick from whichever control scheme is selected.
+function readFlightInput() {
+    const rocket = physics.sim.rocket;
+    if (!rocket) return { thrust: false, angle: 0 };
+    return Controls.flightInput(rocket);
+}
 
-        const mars = physics.bodies.find(b => b.type === 'target_end');
-        if (mars && physics.rocket) {
-            const d = physics.rocket.pos.sub(mars.pos).mag();
-            if (d < gameState.closestDist) {
-                gameState.closestDist = d;
-                document.getElementById('distanceText').innerText = Math.floor(gameState.closestDist);
-            }
-        }
-    } catch (err) {
-        console.error('Gravity Error', err);
+function stepSimulation() {
+    const sim = physics.sim;
+    let input = readFlightInput();
+    if (!input.thrust) input = Maneuvers.input(sim) || input;
+    if (sim.rocket) FlightRecorder.record(input);
+    sim.step(input);
+    const verdict = Missions.update(sim);
+    if (verdict) sim.abort(verdict);
+    Maneuvers.prune(sim);
+    if (sim.rocket && input.thrust && sim.rocket.fuel > 0 && sim.tick % 3 === 0) {
+        physics.particles.push(getPooledParticle(sim.rocket.pos.x, sim.rocket.pos.y, '#ffaa00'));
     }
 }
 
 function getLaunchVector() {
-    const earth = physics.bodies.find(b => b.type === 'target_start');
-    if (!earth) return { vec: new Vector(0,0), power: 0 };
+    const earth = physics.sim.findBody('target_start');
+    if (!earth) return { vec: new Vector(0,0), power: 0, aim: new Vector(0,0) };
     const stats = UpgradeSystem.getStats();
-    const target = new Vector(InputManager.mouse.x, InputManager.mouse.y);
-    const dir = target.sub(earth.pos);
-    const dist = dir.mag(); dir.normalize();
-    const ratio = Math.min(dist, GameConfig.MAX_INPUT_DIST * gameData.scaleFactor) / (GameConfig.MAX_INPUT_DIST * gameData.scaleFactor);
+    const meter = Controls.launchAim();
+    let dir, ratio, aim;
+    if (meter) {
+        dir = new Vector(Math.cos(meter.angle), Math.sin(meter.angle));
+        ratio = meter.power;
+        const reach = GameConfig.MAX_INPUT_DIST * Math.max(ratio, 0.15);
+        aim = new Vector(earth.pos.x + dir.x * reach, earth.pos.y + dir.y * reach);
+    } else {
+        aim = InputManager.worldMouse();
+        dir = aim.sub(earth.pos);
+        const dist = dir.mag(); dir.normalize();
+        ratio = Math.min(dist, GameConfig.MAX_INPUT_DIST) / GameConfig.MAX_INPUT_DIST;
+    }
     const force = stats.launchForceMin + (stats.launchForceMax - stats.launchForceMin) * ratio;
     const launchVel = dir.copy(); launchVel.mult(force);
     if (earth.vel) launchVel.add(earth.vel);
-    return { vec: launchVel, power: ratio };
+    return { vec: launchVel, power: ratio, aim };
 }
 
 function launch(e) {
-    const earth = physics.bodies.find(b => b.type === 'target_start');
-    if (!earth) return;
+    if (!physics.sim.findBody('target_start')) return;
+    if (e) InputManager._updateMouse(e);
+    const { vec, power } = getLaunchVector();
     const stats = UpgradeSystem.getStats();
-    InputManager._updateMouse(e);
-    const { vec } = getLaunchVector();
-    physics.rocket = new Body(earth.pos.x, earth.pos.y, 1, 4, '#fff', false, 'rocket');
-    physics.rocket.vel = vec;
-    physics.rocket.fuel = stats.maxFuel;
-    const dir = vec.copy(); dir.normalize();
-    const off = dir.copy(); off.mult(earth.radius + (25 * gameData.scaleFactor));
-    physics.rocket.pos.add(off);
+    AudioEngine.launch(power);
+    FlightRecorder.start(physics.sim, vec, stats);
+    physics.sim.launch(vec, stats);
+    UIManager.showShield(stats.shieldCharges);
     gameState.mode = 'FLYING';
-    document.getElementById('statusText').innerText = "Hold Screen to Thrust!";
+    Maneuvers.reset(true);
+    Missions.start(physics.sim);
+    Controls.onLaunch(vec);
+    Announcer.reset();
+    Announcer.say(t('announce.launch', { pct: Math.round(power * 100) }));
+    document.getElementById('statusText').innerText = Controls.hint('FLYING');
     document.getElementById('statusText').style.color = "#ffaa00";
     document.getElementById('fuelBarContainer').style.display = 'block';
 }
 
-function changeLevel(val) { gameState.level = parseInt(val); resetGame('stay'); }
+function changeLevel(val) { gameState.level = parseInt(val); gameState.seed = null; resetGame('stay'); }
+
+function changeSeed(val) {
+    const seed = String(val).trim();
+    gameState.seed = seed === '' ? null : seed;
+    physics.ghostTrail = [];
+    resetGame('stay');
+}
 
 function resetGame(action) {
-    if (action === 'reset') { gameState.level = 1; physics.ghostTrail = []; }
-    else if (action === 'next') { gameState.level++; physics.ghostTrail = []; if (gameState.level > 4) gameState.level = 1; }
+    if (action === 'reset') { gameState.level = LevelLoader.levels[0].id; gameState.seed = null; physics.ghostTrail = []; }
+    else if (action === 'next') { gameState.level = LevelLoader.nextLevelId(gameState.level); gameState.seed = null; physics.ghostTrail = []; }
     
     document.getElementById('levelSelect').value = gameState.level;
-    document.getElementById('coinText').innerText = gameState.coins;
+    UIManager.showLevelInfo();
+    document.getElementById('coinText').innerText = I18n.number(gameState.coins);
     gameState.mode = 'IDLE'; gameState.isPaused = false;
-    document.getElementById('message').style.display = 'none';
-    document.getElementById('pauseMenu').style.display = 'none';
+    MODALS.forEach(id => UIManager.hideModal(id));
     document.getElementById('nextLevelBtn').style.display = 'none';
-    document.getElementById('storeModal').style.display = 'none';
+    document.getElementById('replayBar').style.display = 'none';
     document.getElementById('fuelBarContainer').style.display = 'none';
-    physics.rocket = null; gameState.closestDist = Infinity;
+    UIManager.showShield(0);
+    Maneuvers.reset();
+    Controls.reset();
+    gameState.closestDist = Infinity; FlightRecorder.current = null;
     document.getElementById('distanceText').innerText = "--";
     createSolarSystem();
+    UIManager.showSeed();
     gameData.lastTimestamp = performance.now() / 1000; gameData.accumulator = 0;
-    document.getElementById('statusText').innerText = "Aim & Drag to Launch";
+    document.getElementById('statusText').innerText = Controls.hint('IDLE');
     document.getElementById('statusText').style.color = "#fff";
 }
 
+// The simulation runs in fixed world units with the system centred on the origin. Only the
+// camera knows the screen size, so a flight plays out the same on every screen.
+function currentWorld() {
+    return { center: { x: 0, y: 0 }, orbitScale: 1, scale: 1, lostDistance: GameConfig.LOST_DISTANCE };
+}
+
+// level is only read for its insertion rules.
+function simOptions(world, level) {
+    return {
+        G: GameConfig.G_BASE,
+        scale: world.scale,
+        collisionPadding: GameConfig.COLLISION_PADDING,
+        minGravityDist: GameConfig.COLLISION_MIN_DIST,
+        rocketTrailLimit: GameConfig.ROCKET_TRAIL_LIMIT,
+        bodyTrailLimit: GameConfig.BODY_TRAIL_LIMIT,
+        center: world.center,
+        lostDistance: world.lostDistance,
+        trackEnergy: settings.showPhysicsDebug,
+        nbody: level.dynamics === 'nbody',
+        landingSites: Missions.landingSites(level),
+        insertion: level.insertion ? { ...GameConfig.INSERTION_DEFAULTS, ...level.insertion } : null
+    };
+}
+
 function createSolarSystem() {
-    physics.bodies = [];
-    const minDim = Math.min(gameData.width, gameData.height);
-    const sun = new Body(gameData.cx, gameData.cy, GameConfig.SUN_MASS, 30, '#ffd700', true, 'sun');
-    physics.bodies.push(sun);
-
-    const r1 = minDim * 0.22;
-    const earth = new Body(gameData.cx + r1, gameData.cy, GameConfig.EARTH_MASS, 10, '#4facfe', false, 'target_start');
-    earth.orbitCenter = new Vector(gameData.cx, gameData.cy);
-    earth.orbitRadius = r1; earth.orbitAngle = 0; earth.orbitSpeed = 0.005;
-    physics.bodies.push(earth);
-
-    const moonDist = 25 * gameData.scaleFactor;
-    const moon = new Body(gameData.cx + r1 + moonDist, gameData.cy, GameConfig.MOON_MASS, 3, '#ccc', false, 'moon');
-    moon.parentBody = earth; moon.orbitRadius = moonDist; moon.orbitSpeed = 0.08;
-    physics.bodies.push(moon);
-
-    const r2 = minDim * 0.35;
-    const mars = new Body(gameData.cx, gameData.cy, GameConfig.MARS_MASS, 9, '#ff5e62', false, 'target_end');
-    mars.orbitCenter = new Vector(gameData.cx, gameData.cy);
-    mars.orbitRadius = r2; mars.orbitAngle = Math.PI; mars.orbitSpeed = 0.003;
-    physics.bodies.push(mars);
-
-    const rSaturn = minDim * 0.48;
-    const saturn = new Body(gameData.cx, gameData.cy, GameConfig.SATURN_MASS, 18, '#f4d03f', false, 'saturn');
-    saturn.orbitCenter = new Vector(gameData.cx, gameData.cy);
-    saturn.orbitRadius = rSaturn; saturn.orbitAngle = Math.PI/2; saturn.orbitSpeed = 0.001;
-    physics.bodies.push(saturn);
-
-    for (let i = 0; i < 12; i++) {
-        const ring = new Body(0, 0, 5, 2, '#8d6e63', false, 'obstacle');
-        ring.parentBody = saturn;
-        ring.orbitRadius = (30 * gameData.scaleFactor) + Math.random() * (10 * gameData.scaleFactor);
-        ring.orbitAngle = (i/12) * Math.PI*2; ring.orbitSpeed = 0.05 + Math.random() * 0.02;
-        physics.bodies.push(ring);
-    }
-
-    const levelConfig = LEVELS_DATA.levels[gameState.level - 1];
-    let astCount = levelConfig.asteroidCount;
-    let minS = levelConfig.asteroidMinSize * gameData.scaleFactor;
-    let maxS = levelConfig.asteroidMaxSize * gameData.scaleFactor;
-
-    const zStart = r1 + (30*gameData.scaleFactor), zEnd = r2 - (30*gameData.scaleFactor);
-    for (let i = 0; i < astCount; i++) {
-        const sz = minS + Math.random()*(maxS-minS);
-        const a = new Body(0, 0, 20, sz, '#777', false, 'obstacle');
-        a.orbitCenter = new Vector(gameData.cx, gameData.cy);
-        a.orbitRadius = zStart + Math.random()*(zEnd-zStart);
-        a.orbitAngle = Math.random()*Math.PI*2;
-        const spd = 0.002 + Math.random()*0.004;
-        a.orbitSpeed = Math.random() > 0.5 ? spd : -spd;
-        physics.bodies.push(a);
-    }
+    const level = LevelLoader.getLevel(gameState.level);
+    if (gameState.seed === null) gameState.seed = LevelLoader.getSeed(level);
+    Random.seed(gameState.seed);
+    const world = currentWorld();
+    const bodies = buildSystem(LevelLoader.getLayout(level), level, world);
+
+    physics.world = world;
+    physics.sim = new Simulation(bodies, simOptions(world, level));
+    Missions.reset(level);
+    physics.sim
+        .on('landed', ({ body, rocket }) => endGame(true, 'landed', rocket, body))
+        .on('orbited', ({ body, rocket }) => endGame(true, 'orbit', rocket, body))
+        .on('crashed', ({ body, rocket, x, y, hardLanding }) => {
+            endGame(false, hardLanding ? 'hard_landing' : 'crashed', rocket, body);
+            spawnExplosion(x, y, body.color);
+        })
+        .on('lost', ({ rocket }) => endGame(false, 'lost_space', rocket))
+        .on('aborted', ({ rocket, reason }) => endGame(reason === 'mission_complete', reason, rocket))
+        .on('pickup', ({ body }) => {
+            Missions.onPickup();
+            for (let i = 0; i < 12; i++) physics.particles.push(getPooledParticle(body.pos.x, body.pos.y, body.color));
+        })
+        .on('shielded', ({ rocket, x, y }) => {
+            spawnExplosion(x, y, '#00d2ff', 12);
+            gameState.shakeStrength = 4;
+            UIManager.showShield(rocket.shield);
+        })
+        .on('assist', (assist) => UIManager.flashAssist(assist.deltaV / physics.sim.config.scale))
+        .on('warped', ({ body, exit }) => {
+            [body, exit].forEach(mouth => {
+                for (let i = 0; i < 10; i++) physics.particles.push(getPooledParticle(mouth.pos.x, mouth.pos.y, mouth.color));
+            });
+            AudioEngine.warp();
+        })
+        .on('flare', () => {
+            if (gameState.mode !== 'FLYING') return;
+            AudioEngine.flare();
+            Announcer.say(t('announce.flare'), true);
+        })
+        .on('closest', ({ distance }) => {
+            gameState.closestDist = distance;
+            document.getElementById('distanceText').innerText = I18n.number(Math.floor(distance));
+            Announcer.onClosest(distance, physics.sim.tick);
+        });
 }
 
 function resize() {
     gameData.width = window.innerWidth; gameData.height = window.innerHeight;
     gameData.canvas.width = gameData.width; gameData.canvas.height = gameData.height;
     gameData.cx = gameData.width/2; gameData.cy = gameData.height/2;
-    gameData.scaleFactor = Math.min(gameData.width, gameData.height)/800;
-    if (gameData.scaleFactor > 1.2) gameData.scaleFactor = 1.2;
-    if (gameData.scaleFactor < 0.6) gameData.scaleFactor = 0.6;
-    InputManager.mouse.x = gameData.cx; InputManager.mouse.y = gameData.cy;
+    gameData.viewScale = Math.min(gameData.width, gameData.height)/LAYOUT_REFERENCE_SIZE;
+    // A held pointer keeps its place, so turning the device mid-burn doesn't swing the thrust.
+    if (!InputManager.down) { InputManager.mouse.x = gameData.cx; InputManager.mouse.y = gameData.cy; }
     initStars();
-    if (gameState.mode === 'IDLE') resetGame('stay');
 }
 
 function initStars() {
@@ -771,10 +3366,12 @@ function loop() {
     if(delta > 0.25) delta = 0.25;
     gameData.lastTimestamp = now; gameData.accumulator += delta;
 
+    AudioEngine.update(physics.sim);
     if (gameState.isPaused) { gameData.animationFrameId = requestAnimationFrame(loop); return; }
 
     const ctx = gameData.ctx;
     let sx = 0, sy = 0;
+    if(settings.reducedMotion) gameState.shakeStrength = 0;
     if(gameState.shakeStrength > 0) {
         sx = (Math.random()-0.5)*gameState.shakeStrength;
         sy = (Math.random()-0.5)*gameState.shakeStrength;
@@ -785,21 +3382,17 @@ function loop() {
     ctx.save(); ctx.translate(sx, sy);
     ctx.fillStyle = '#050510'; ctx.fillRect(-sx, -sy, gameData.width, gameData.height);
 
+    const lenses = Renderer.lenses(physics.sim);
     physics.stars.forEach(s => {
-        if(Math.random()<0.01) s.alpha = Math.random()*0.8+0.2;
-        ctx.fillStyle = `rgba(255,255,255,${s.alpha})`;
-        ctx.beginPath(); ctx.arc(s.x, s.y, s.size, 0, Math.PI*2); ctx.fill();
+        if(!settings.reducedMotion && Math.random()<0.01) s.alpha = Math.random()*0.8+0.2;
+        Renderer.drawStar(s, lenses);
     });
 
+    Controls.update(delta);
     const step = 1/60; let steps = 0;
     while(gameData.accumulator >= step && steps < 5) {
-        calculateGravity();
-        physics.bodies.forEach(b => b.update());
-        if(physics.rocket) {
-            physics.rocket.update();
-            const d = new Vector(physics.rocket.pos.x - gameData.cx, physics.rocket.pos.y - gameData.cy).mag();
-            if(d > Math.max(gameData.width, gameData.height)*2) endGame(false, 'lost_space');
-        }
+        if(gameState.mode === 'REPLAY') ReplayPlayer.update();
+        else if(gameState.mode !== 'EDITOR' && !Maneuvers.planning) stepSimulation();
         for(let i=physics.particles.length-1; i>=0; i--) {
             const p = physics.particles[i]; p.update();
             if(p.life <= 0) { physics.particlePool.push(p); physics.particles.splice(i, 1); }
@@ -807,64 +3400,86 @@ function loop() {
         gameData.accumulator -= step; steps++;
     }
 
-    physics.bodies.forEach(b => b.draw());
+    const sim = physics.sim;
+    if(sim.rocket) {
+        const fuelBarEl = document.getElementById('fuelBar');
+        if(fuelBarEl) fuelBarEl.style.width = `${(sim.rocket.fuel / sim.stats.maxFuel) * 100}%`;
+    }
+    UIManager.showApproach(sim);
+    UIManager.showControls(sim);
+    UIManager.showMission(sim);
+    UIManager.showDebug(sim);
+    Announcer.update(sim);
+    let flightPred = null;
+    if (gameState.mode === 'FLYING' && sim.rocket) {
+        if (Maneuvers.active()) flightPred = Maneuvers.predict(sim);
+        else if (settings.showFlightPrediction || settings.showTactical) flightPred = Predictor.get('flight', sim, { ticks: settings.predictionTicks });
+    }
+    UIManager.showTactical(sim, flightPred);
+    Camera.update(sim);
+    Camera.apply(ctx);
+
+    Renderer.drawFlares(sim);
+    sim.bodies.forEach(b => Renderer.drawBody(b));
+    const padding = sim.stats ? sim.stats.landingPadding : UpgradeSystem.getStats().landingPadding;
+    if(padding > 0) Renderer.drawLandingZone(sim.findBody('target_end'), padding);
+    if(gameState.mode === 'EDITOR') Renderer.drawEditor(LevelEditor);
+    else Renderer.drawMission(sim, Missions);
     
     if(physics.ghostTrail.length > 1) {
-        ctx.beginPath(); ctx.strokeStyle = '#00ffff'; ctx.lineWidth = 1*gameData.scaleFactor; ctx.globalAlpha = 0.2;
+        ctx.beginPath(); ctx.strokeStyle = '#00ffff'; ctx.lineWidth = 1; ctx.globalAlpha = 0.2;
         ctx.setLineDash([5, 5]);
-        physics.ghostTrail.forEach(p => ctx.lineTo(p.x, p.y));
+        Renderer.tracePath(physics.ghostTrail);
         ctx.stroke(); ctx.setLineDash([]); ctx.globalAlpha = 1;
     }
 
     if(gameState.mode === 'IDLE') {
-        const earth = physics.bodies.find(b => b.type === 'target_start');
+        const earth = sim.findBody('target_start');
         if(earth) {
-            const {vec, power} = getLaunchVector();
-            ctx.beginPath(); ctx.moveTo(earth.pos.x, earth.pos.y); ctx.lineTo(InputManager.mouse.x, InputManager.mouse.y);
+            const {vec, power, aim} = getLaunchVector();
+            ctx.beginPath(); ctx.moveTo(earth.pos.x, earth.pos.y); ctx.lineTo(aim.x, aim.y);
             ctx.strokeStyle = `rgba(255, ${255*(1-power)}, ${255*(1-power)}, 0.4)`;
-            ctx.setLineDash([4, 4]); ctx.lineWidth = 1*gameData.scaleFactor; ctx.stroke(); ctx.setLineDash([]);
-            
-            ctx.beginPath(); ctx.moveTo(earth.pos.x, earth.pos.y);
-            let simP = earth.pos.copy();
-            const dir = new Vector(InputManager.mouse.x, InputManager.mouse.y).sub(earth.pos);
-            dir.normalize(); dir.mult(earth.radius + 20*gameData.scaleFactor);
-            simP.add(dir); let simV = vec.copy();
-            const lG = GameConfig.G_BASE * gameData.scaleFactor;
+            ctx.setLineDash([4, 4]); ctx.lineWidth = 1; ctx.stroke(); ctx.setLineDash([]);
             
-            for(let i=0; i<15; i++) {
-                const sun = physics.bodies.find(b => b.type === 'sun');
-                if(!sun) break;
-                const f = sun.pos.sub(simP);
-                const d = Math.max(f.mag(), 10*gameData.scaleFactor);
-                f.normalize(); f.mult((lG * sun.mass * 1.5)/(d*d));
-                simV.add(f); simP.add(simV);
-                ctx.lineTo(simP.x, simP.y);
-            }
-            ctx.strokeStyle = 'rgba(0, 210, 255, 0.6)'; ctx.lineWidth = 2*gameData.scaleFactor; ctx.stroke();
+            Renderer.drawPrediction(Predictor.get('launch', sim, { ticks: settings.predictionTicks, launchVel: vec, stats: UpgradeSystem.getStats() }));
         }
+    } else if(flightPred && Maneuvers.active()) {
+        Renderer.drawPrediction(flightPred, Maneuvers.planning ? 0.8 : 0.4);
+        Renderer.drawManeuvers(Maneuvers);
+    } else if(flightPred && settings.showFlightPrediction) {
+        Renderer.drawPrediction(flightPred, 0.3);
     }
 
-    if(physics.rocket) physics.rocket.draw();
+    if(sim.rocket && settings.showTactical) Renderer.drawTactical(sim, flightPred);
+    if(sim.rocket) Renderer.drawBody(sim.rocket);
     
     physics.particles.forEach(p => {
         ctx.globalAlpha = p.life; ctx.fillStyle = p.color;
         ctx.beginPath(); ctx.rect(p.pos.x - p.size/2, p.pos.y - p.size/2, p.size, p.size); ctx.fill();
     });
     ctx.globalAlpha = 1; ctx.restore();
+    if(sim.rocket) Renderer.drawOffscreenIndicator(sim.rocket);
     gameData.frameCount++;
     gameData.animationFrameId = requestAnimationFrame(loop);
 }
 
 // Start
-function init() {
+async function init() {
+    UIManager.applyLanguage();
     document.getElementById('loadingOverlay').style.display = 'flex';
     gameData.canvas = document.getElementById('gameCanvas');
     gameData.ctx = gameData.canvas.getContext('2d', { alpha: false });
-    UpgradeSystem.init();
+    await LevelLoader.load();
+    SaveSystem.load();
+    UIManager.applyLanguage();
+    gameState.level = SaveSystem.profile.highestUnlocked;
     InputManager.init();
+    AudioEngine.init();
     UIManager.init();
+    Updater.init();
     eventManager.on(window, 'resize', resize);
-    resize(); createSolarSystem();
+    resize();
+    resetGame('stay');
     document.getElementById('loadingOverlay').style.display = 'none';
     loop();
 }
@@ -0,0 +1,637 @@
+/**
+ * MARS SHOT: Localization
+ * Message catalogs and the lookup every piece of UI text goes through. No DOM.
+ * Loaded as a plain script in the browser (window.MarsI18n) or with require() in Node.
+ */
+
+(function(root) {
+
+// ===================================
+// 1. CATALOGS
+// ===================================
+
+// messages: UI text by key. "{name}" is replaced by params.name and "{name:2}" shows a number
+// with exactly 2 decimals; numbers are written the locale's way (1,250.5 or 1.250,5). A message
+// can also be { one, other }, picked for params.count by the locale's plural rules.
+// content: translations of text that comes from level data (level names and descriptions,
+// upgrades), keyed by the English original. Custom levels simply stay untranslated.
+// English is the fallback for any key a catalog is missing.
+const CATALOGS = {
+    en: {
+        name: 'English',
+        messages: {
+            'page.loading': 'Loading...',
+            'level.seed': 'Seed',
+            'level.randomSeed': 'Random seed',
+            'hud.coins': 'Coins:',
+            'hud.closest': 'Closest:',
+            'hud.shield': 'Shield:',
+            'hud.marsSpeed': 'Mars speed:',
+            'hud.mission': 'Mission:',
+            'hud.energyDrift': 'Energy drift:',
+            'hud.speed': 'Speed:',
+            'hud.altitude': 'Altitude:',
+            'hud.deltaV': 'Δv left:',
+            'hud.approach': 'Mars approach:',
+            'button.reset': '↺ RESET',
+            'button.shop': 'SHOP',
+            'button.pause': '⏸ PAUSE',
+            'button.settings': '⚙ SETTINGS',
+            'button.follow': '🎥 FOLLOW',
+            'button.free': '🎥 FREE',
+            'button.cameraTitle': 'Camera follows the rocket and Mars',
+            'button.tactical': '📡 HUD',
+            'button.tacticalTitle': 'Flight data overlay (H)',
+            'button.sound': '🔊 SOUND',
+            'button.muted': '🔇 MUTED',
+            'button.muteTitle': 'Sound on / off',
+            'button.plan': '📐 PLAN',
+            'button.planTitle': 'Plan burns on the predicted path (M)',
+            'common.close': 'Close',
+
+            'store.title': 'WORKSHOP',
+            'store.level': '{name} (Lvl {level}/{max})',
+            'store.now': 'Now: {now}',
+            'store.next': 'Now: {now} → Next: {next}',
+            'store.requires': 'Requires {list}',
+            'store.requirement': '{name} Lvl {level}',
+            'store.max': 'MAX',
+            'store.buy': 'Buy ({cost}c)',
+            'effect.fuel': '{value} fuel',
+            'effect.thrust': '{value:1} thrust',
+            'effect.launch': '{value} max launch speed',
+            'effect.efficiency': '{value:2} fuel per tick',
+            'effect.shield': { one: '{count} shield charge', other: '{count} shield charges' },
+            'effect.noShield': 'no shield',
+            'effect.rcs': 'thrust without turning',
+            'effect.noRcs': 'ship turns to thrust',
+            'effect.landing': '+{value} landing radius',
+            'effect.noLanding': 'standard landing zone',
+
+            'settings.title': 'SETTINGS',
+            'settings.preview': 'Preview length',
+            'settings.flightPrediction': 'Show coast path in flight',
+            'settings.controls': 'Controls',
+            'settings.controls.pointer': 'Mouse / touch',
+            'settings.controls.keyboard': 'Keyboard',
+            'settings.controls.gamepad': 'Gamepad',
+            'settings.steering': 'Steering',
+            'settings.steering.aim': 'Aim at pointer / stick',
+            'settings.steering.rotate': 'Rotate and burn',
+            'settings.masterVolume': 'Master volume',
+            'settings.sfxVolume': 'Effects volume',
+            'settings.musicVolume': 'Music volume',
+            'settings.muted': 'Mute all sound',
+            'settings.palette': 'Colours',
+            'settings.palette.standard': 'Standard',
+            'settings.palette.safe': 'Colour-blind safe',
+            'settings.reducedMotion': 'Reduce motion',
+            'settings.language': 'Language',
+            'settings.language.auto': 'Automatic',
+            'settings.physicsDebug': 'Show physics debug',
+            'settings.editor': '✎ Level Editor',
+            'settings.importReplay': '⇧ Import Replay…',
+            'settings.progress': 'Progress',
+            'settings.export': '⇩ Export',
+            'settings.import': '⇧ Import…',
+            'settings.resetProgress': 'Reset Progress',
+            'unit.seconds': '{value:1}s',
+            'unit.percent': '{value}%',
+
+            'hint.idle.pointer': 'Aim & Drag to Launch',
+            'hint.idle.keyboard': '←/→ Aim · Hold Space to Launch',
+            'hint.idle.gamepad': 'Stick to Aim · Hold Ⓐ to Launch',
+            'hint.flying.pointer': 'Hold Screen to Thrust!',
+            'hint.flying.pointerRotate': 'Hold & Slide Sideways to Steer',
+            'hint.flying.keyboard': '←/→ Turn · ↑ Thrust · R/F Throttle',
+            'hint.flying.gamepad': 'Stick to Aim · RT to Thrust',
+            'hint.flying.gamepadRotate': 'Stick to Turn · RT to Thrust',
+            'status.paused': 'PAUSED',
+            'status.replay': 'REPLAY · Level {level} · Seed {seed}',
+            'hud.launchPower': 'Launch power: {pct}%',
+            'hud.throttle': 'Throttle: {pct}%',
+            'hud.noGamepad': 'Throttle: {pct}% · no gamepad',
+            'hud.orbitCapture': ' · Orbit {pct}%',
+            'hud.altitudeValue': '{distance} ({body})',
+            'hud.encounterIn': '{distance} in {seconds:1}s',
+            'hud.encounterAway': '{distance} (moving away)',
+            'hud.substeps': { one: '{drift} · {count} sub-step', other: '{drift} · {count} sub-steps' },
+            'hud.assist': 'Gravity Assist +{dv:2} Δv',
+            'canvas.landing': 'LANDING',
+            'canvas.closest': 'CA {distance} · {seconds:1}s',
+            'canvas.periapsis': 'Pe {distance}',
+            'canvas.apoapsis': 'Ap {distance}',
+
+            'maneuver.title': 'MANEUVER PLANNER',
+            'maneuver.hint': 'Tap the predicted path to add a burn, or a node to edit it.',
+            'maneuver.prograde': 'Prograde',
+            'maneuver.radial': 'Radial',
+            'maneuver.delete': 'Delete Node',
+            'maneuver.done': '▶ Resume Flight',
+            'maneuver.node': 'Burn in {in:1}s · {length:1}s long',
+            'maneuver.fuel': { one: '{count} node · fuel {cost:1} / {fuel:1}', other: '{count} nodes · fuel {cost:1} / {fuel:1}' },
+            'replay.playTitle': 'Play / pause',
+            'replay.exportTitle': 'Export recording',
+            'replay.exitTitle': 'Leave replay',
+            'pause.title': 'PAUSED',
+            'pause.text': 'Game paused.',
+            'pause.resume': 'Resume',
+            'pause.restart': 'Restart Level',
+            'update.text': 'A new version of Mars Shot is ready.',
+            'update.reload': 'Reload',
+            'update.later': 'Later',
+
+            'result.missionComplete': 'MISSION COMPLETE!',
+            'result.orbit': 'ORBIT ACHIEVED!',
+            'result.landing': 'MARS LANDING!',
+            'result.lost': 'LOST IN SPACE',
+            'result.hardLanding': 'HARD LANDING',
+            'result.missionFailed': 'MISSION FAILED',
+            'result.crashed': 'CRASHED',
+            'result.earned': '+{coins} Coins!',
+            'result.closest': 'Closest: {distance} | Earned: {coins} Coins',
+            'result.assists': { one: 'Including {coins} for {count} gravity assist', other: 'Including {coins} for {count} gravity assists' },
+            'result.touchdown': 'Touchdown at {speed:2}, limit {limit:2}',
+            'result.records': 'New best {records}!',
+            'result.retry': 'Try Again',
+            'result.replayLevel': 'Replay Level',
+            'result.next': 'Next Level',
+            'result.watchReplay': '▶ Watch Replay',
+            'result.exportReplay': '⇩ Export Replay',
+            'record.closest': 'closest approach',
+            'record.fuelUsed': 'fuel used',
+            'record.landingTicks': 'landing time',
+            'record.score': 'score',
+            'record.assists': 'gravity assists',
+            'score.orbit': 'Orbit insertion',
+            'score.landing': 'Landing',
+            'score.mission': 'Mission complete',
+            'score.fuel': 'Fuel left ({pct}%)',
+            'score.time': 'Flight time ({seconds:1}s)',
+            'score.stableOrbit': 'Stable orbit',
+            'score.arrival': 'Arrival speed ({speed:2})',
+            'score.objectives': 'Mission objectives ({count})',
+            'score.assists': 'Gravity assists ({count})',
+            'score.difficulty': 'Difficulty',
+            'score.total': 'Score',
+
+            'difficulty.easy': 'EASY',
+            'difficulty.medium': 'MEDIUM',
+            'difficulty.hard': 'HARD',
+            'difficulty.extreme': 'EXTREME',
+            'level.rules': ' · Land below speed {speed} or hold orbit for {seconds:1}s',
+            'level.best': 'Best: {parts}',
+            'best.closest': 'closest {distance}',
+            'best.fuel': 'fuel {fuel}',
+            'best.time': 'time {seconds:1}s',
+            'best.assists': 'assists {count}',
+
+            'mission.flyby': 'Fly by {body}',
+            'mission.collect': { one: 'Collect {count} fuel pickup ({done}/{count})', other: 'Collect {count} fuel pickups ({done}/{count})' },
+            'mission.gates': { one: 'Pass {count} gate ({done}/{count})', other: 'Pass {count} gates ({done}/{count})' },
+            'mission.timeLeft': ' · {seconds:1}s',
+            'mission.land': 'Land on {body}',
+            'mission.landFuel': 'Land on {body} with {pct}% fuel',
+            'mission.outOfTime': 'Out of time before gate {gate}',
+            'mission.early': 'Reached {body} before: {objective}',
+            'mission.wrongBody': 'Landed on {body} instead of {target}',
+            'mission.lowFuel': 'Landed with {pct}% fuel, {needed}% needed',
+            'body.sun': 'Sun',
+            'body.earth': 'Earth',
+            'body.mars': 'Mars',
+            'body.saturn': 'Saturn',
+            'body.moon': 'Moon',
+
+            'announce.launch': 'Launched at {pct}% power',
+            'announce.fuelLow': 'Fuel low: {pct}% left',
+            'announce.fuelEmpty': 'Fuel empty',
+            'announce.closest': 'Closest approach to Mars: {distance}',
+            'announce.flare': 'Solar flare incoming',
+
+            'editor.title': 'LEVEL EDITOR',
+            'editor.select': 'Select',
+            'editor.addSun': '+ Sun',
+            'editor.addPlanet': '+ Planet',
+            'editor.addMoon': '+ Moon',
+            'editor.addBelt': '+ Belt',
+            'editor.selection': 'Selection',
+            'editor.hint': 'Click a body or belt to edit it, or pick a tool and click to place.',
+            'editor.none': '(none)',
+            'editor.markStart': 'Make Start',
+            'editor.markTarget': 'Make Target',
+            'editor.delete': 'Delete',
+            'editor.layoutOk': 'Layout OK',
+            'editor.test': '▶ Test Fly',
+            'editor.export': '⇩ Export',
+            'editor.import': '⇧ Import…',
+            'editor.exit': 'Exit Editor',
+            'editor.back': '✎ Back to Editor',
+
+            'valid.root': 'root must be an object with "levels" and "upgrades"',
+            'valid.object': '{path} must be an object',
+            'valid.array': '{path} must be an array',
+            'valid.nonEmptyArray': '{path} must be a non-empty array',
+            'valid.string': '{path} must be a string',
+            'valid.text': '{path} must be a non-empty string',
+            'valid.numberGot': '{path} must be a number (got {got})',
+            'valid.numberMin': '{path} must be a number >= {min} (got {got})',
+            'valid.positive': '{path} must be a number > 0 (got {got})',
+            'valid.wholeMin': '{path} must be a whole number >= {min} (got {got})',
+            'valid.positiveInt': '{path} must be a positive integer (got {got})',
+            'valid.oneOf': '{path} must be one of {options} (got {got})',
+            'valid.missing': '{path} is missing',
+            'valid.incomplete': '{path} is missing or incomplete',
+            'valid.levelIdTaken': '{path} {id} is used by another level',
+            'valid.bodyIdTaken': '{path} "{id}" is used by another body',
+            'valid.asteroidSizes': '{path}.asteroidMaxSize ({max}) is smaller than asteroidMinSize ({min})',
+            'valid.seed': '{path} must be a string or a whole number',
+            'valid.stars': '{path} must be [scoreFor2Stars, scoreFor3Stars] with the first <= the second',
+            'valid.defaultLayout': '"defaultLayout" is required unless every level declares its own "layout"',
+            'valid.unknownUpgrade': '{path} is not a known upgrade ({options})',
+            'valid.requires': '{path} must be an object like { "thrust": 2 }',
+            'valid.requiresUpgrade': '{path} must name another upgrade',
+            'valid.requiresLevel': '{path} must be a level >= 1',
+            'valid.parentBefore': '{path} "{id}" must name a body listed before it',
+            'valid.notBody': '{path} "{id}" is not a body id',
+            'valid.orbitRadius': '{path} must be a number > 0 when a parent is set',
+            'valid.exactlyOne': '{path} needs exactly one "{type}" body (found {count})',
+            'valid.outerRadius': '{path} must be a number >= innerRadius',
+            'valid.spacing': '{path} must be "even" or "random"',
+            'valid.layoutBody': '{path} must name a body of the layout (got {got})',
+            'valid.pickupCount': '{path} must be a whole number from 1 to the number of pickups',
+            'valid.gates': '{path} must be a non-empty list of { x, y, radius? }',
+            'valid.timeLimit': '{path} must be a number of seconds > 0',
+            'valid.minFuel': '{path} must be a share of the tank from 0 to 1',
+            'valid.landLast': '{path} lands, so it must be the last objective',
+            'valid.notRecording': 'not a Mars Shot recording',
+            'valid.recordingVersion': 'recording format v{version} is not supported (expected v1-v{max})',
+            'valid.physicsVersion': 'recorded with physics v{version}, this build runs v{current}, so it would not replay exactly',
+            'valid.inputs': '{path} must be a list of [{fields}] runs',
+            'valid.apoapsis': '{path} must be a number >= periapsis (got {got})',
+            'valid.wormholeLink': '{path} must name another wormhole that links back to "{id}"',
+            'valid.flareWidth': '{path} must be an angle in radians from 0 to 2π (got {got})',
+            'valid.flareTiming': '{path}.warning + duration must fit in "every" ({every}s)',
+
+            'alert.badJson': "Can't read {file}: not valid JSON.",
+            'alert.badReplay': "Can't replay {file}:\n- {errors}",
+            'alert.importFailed': "Can't import {file}: {error}",
+            'alert.badLevel': "Can't load {file}:\n- {errors}",
+            'confirm.resetProgress': 'Reset all progress? Coins, upgrades, unlocked levels and records will be lost.'
+        }
+    },
+
+    tr: {
+        name: 'Türkçe',
+        messages: {
+            'page.loading': 'Yükleniyor...',
+            'level.seed': 'Tohum',
+            'level.randomSeed': 'Rastgele tohum',
+            'hud.coins': 'Jeton:',
+            'hud.closest': 'En yakın:',
+            'hud.shield': 'Kalkan:',
+            'hud.marsSpeed': 'Mars hızı:',
+            'hud.mission': 'Görev:',
+            'hud.energyDrift': 'Enerji sapması:',
+            'hud.speed': 'Hız:',
+            'hud.altitude': 'İrtifa:',
+            'hud.deltaV': 'Kalan Δv:',
+            'hud.approach': 'Mars yaklaşımı:',
+            'button.reset': '↺ SIFIRLA',
+            'button.shop': 'MAĞAZA',
+            'button.pause': '⏸ DURAKLAT',
+            'button.settings': '⚙ AYARLAR',
+            'button.follow': '🎥 TAKİP',
+            'button.free': '🎥 SERBEST',
+            'button.cameraTitle': 'Kamera roketi ve Mars\'ı takip eder',
+            'button.tactical': '📡 HUD',
+            'button.tacticalTitle': 'Uçuş verisi katmanı (H)',
+            'button.sound': '🔊 SES',
+            'button.muted': '🔇 SESSİZ',
+            'button.muteTitle': 'Ses açık / kapalı',
+            'button.plan': '📐 PLAN',
+            'button.planTitle': 'Tahmini rotada yakışları planla (M)',
+            'common.close': 'Kapat',
+
+            'store.title': 'ATÖLYE',
+            'store.level': '{name} (Sv {level}/{max})',
+            'store.now': 'Şu an: {now}',
+            'store.next': 'Şu an: {now} → Sonraki: {next}',
+            'store.requires': 'Gerekli: {list}',
+            'store.requirement': '{name} Sv {level}',
+            'store.max': 'MAKS',
+            'store.buy': 'Al ({cost} J)',
+            'effect.fuel': '{value} yakıt',
+            'effect.thrust': '{value:1} itki',
+            'effect.launch': '{value} azami fırlatma hızı',
+            'effect.efficiency': 'adım başına {value:2} yakıt',
+            'effect.shield': '{count} kalkan hakkı',
+            'effect.noShield': 'kalkan yok',
+            'effect.rcs': 'dönmeden itki',
+            'effect.noRcs': 'itki için gemi döner',
+            'effect.landing': '+{value} iniş yarıçapı',
+            'effect.noLanding': 'standart iniş bölgesi',
+
+            'settings.title': 'AYARLAR',
+            'settings.preview': 'Önizleme süresi',
+            'settings.flightPrediction': 'Uçuşta süzülme rotasını göster',
+            'settings.controls': 'Kontroller',
+            'settings.controls.pointer': 'Fare / dokunmatik',
+            'settings.controls.keyboard': 'Klavye',
+            'settings.controls.gamepad': 'Oyun kumandası',
+            'settings.steering': 'Yönlendirme',
+            'settings.steering.aim': 'İmlece / çubuğa nişan al',
+            'settings.steering.rotate': 'Döndür ve ateşle',
+            'settings.masterVolume': 'Ana ses',
+            'settings.sfxVolume': 'Efekt sesi',
+            'settings.musicVolume': 'Müzik sesi',
+            'settings.muted': 'Tüm sesleri kapat',
+            'settings.palette': 'Renkler',
+            'settings.palette.standard': 'Standart',
+            'settings.palette.safe': 'Renk körlüğüne uygun',
+            'settings.reducedMotion': 'Hareketi azalt',
+            'settings.language': 'Dil',
+            'settings.language.auto': 'Otomatik',
+            'settings.physicsDebug': 'Fizik hata ayıklamasını göster',
+            'settings.editor': '✎ Bölüm Düzenleyici',
+            'settings.importReplay': '⇧ Tekrar İçe Aktar…',
+            'settings.progress': 'İlerleme',
+            'settings.export': '⇩ Dışa Aktar',
+            'settings.import': '⇧ İçe Aktar…',
+            'settings.resetProgress': 'İlerlemeyi Sıfırla',
+            'unit.seconds': '{value:1} sn',
+            'unit.percent': '%{value}',
+
+            'hint.idle.pointer': 'Nişan Al ve Fırlatmak İçin Sürükle',
+            'hint.idle.keyboard': '←/→ Nişan · Fırlatmak İçin Boşluk Tuşuna Basılı Tut',
+            'hint.idle.gamepad': 'Çubukla Nişan · Fırlatmak İçin Ⓐ Tuşuna Basılı Tut',
+            'hint.flying.pointer': 'İtki İçin Ekrana Basılı Tut!',
+            'hint.flying.pointerRotate': 'Yönlendirmek İçin Basılı Tut ve Yana Kaydır',
+            'hint.flying.keyboard': '←/→ Dön · ↑ İtki · R/F Gaz',
+            'hint.flying.gamepad': 'Çubukla Nişan · İtki İçin RT',
+            'hint.flying.gamepadRotate': 'Çubukla Dön · İtki İçin RT',
+            'status.paused': 'DURAKLATILDI',
+            'status.replay': 'TEKRAR · Bölüm {level} · Tohum {seed}',
+            'hud.launchPower': 'Fırlatma gücü: %{pct}',
+            'hud.throttle': 'Gaz: %{pct}',
+            'hud.noGamepad': 'Gaz: %{pct} · kumanda yok',
+            'hud.orbitCapture': ' · Yörünge %{pct}',
+            'hud.altitudeValue': '{distance} ({body})',
+            'hud.encounterIn': '{distance}, {seconds:1} sn sonra',
+            'hud.encounterAway': '{distance} (uzaklaşıyor)',
+            'hud.substeps': '{drift} · {count} alt adım',
+            'hud.assist': 'Kütleçekim Desteği +{dv:2} Δv',
+            'canvas.landing': 'İNİŞ',
+            'canvas.closest': 'EY {distance} · {seconds:1} sn',
+            'canvas.periapsis': 'Enberi {distance}',
+            'canvas.apoapsis': 'Enöte {distance}',
+
+            'maneuver.title': 'MANEVRA PLANLAYICI',
+            'maneuver.hint': 'Yakış eklemek için tahmini rotaya, düzenlemek için bir düğüme dokun.',
+            'maneuver.prograde': 'Prograd',
+            'maneuver.radial': 'Radyal',
+            'maneuver.delete': 'Düğümü Sil',
+            'maneuver.done': '▶ Uçuşa Devam',
+            'maneuver.node': '{in:1} sn sonra yakış · {length:1} sn sürer',
+            'maneuver.fuel': '{count} düğüm · yakıt {cost:1} / {fuel:1}',
+            'replay.playTitle': 'Oynat / duraklat',
+            'replay.exportTitle': 'Kaydı dışa aktar',
+            'replay.exitTitle': 'Tekrardan çık',
+            'pause.title': 'DURAKLATILDI',
+            'pause.text': 'Oyun duraklatıldı.',
+            'pause.resume': 'Devam Et',
+            'pause.restart': 'Bölümü Yeniden Başlat',
+            'update.text': 'Mars Shot\'ın yeni sürümü hazır.',
+            'update.reload': 'Yenile',
+            'update.later': 'Sonra',
+
+            'result.missionComplete': 'GÖREV TAMAMLANDI!',
+            'result.orbit': 'YÖRÜNGEYE GİRİLDİ!',
+            'result.landing': 'MARS\'A İNİŞ!',
+            'result.lost': 'UZAYDA KAYBOLDU',
+            'result.hardLanding': 'SERT İNİŞ',
+            'result.missionFailed': 'GÖREV BAŞARISIZ',
+            'result.crashed': 'ÇAKILDI',
+            'result.earned': '+{coins} Jeton!',
+            'result.closest': 'En yakın: {distance} | Kazanılan: {coins} Jeton',
+            'result.assists': '{count} kütleçekim desteği için {coins} jeton dahil',
+            'result.touchdown': 'İniş hızı {speed:2}, sınır {limit:2}',
+            'result.records': 'Yeni rekor: {records}!',
+            'result.retry': 'Tekrar Dene',
+            'result.replayLevel': 'Bölümü Tekrar Oyna',
+            'result.next': 'Sonraki Bölüm',
+            'result.watchReplay': '▶ Tekrarı İzle',
+            'result.exportReplay': '⇩ Tekrarı Dışa Aktar',
+            'record.closest': 'en yakın geçiş',
+            'record.fuelUsed': 'harcanan yakıt',
+            'record.landingTicks': 'iniş süresi',
+            'record.score': 'puan',
+            'record.assists': 'kütleçekim destekleri',
+            'score.orbit': 'Yörüngeye giriş',
+            'score.landing': 'İniş',
+            'score.mission': 'Görev tamamlandı',
+            'score.fuel': 'Kalan yakıt (%{pct})',
+            'score.time': 'Uçuş süresi ({seconds:1} sn)',
+            'score.stableOrbit': 'Kararlı yörünge',
+            'score.arrival': 'Varış hızı ({speed:2})',
+            'score.objectives': 'Görev hedefleri ({count})',
+            'score.assists': 'Kütleçekim destekleri ({count})',
+            'score.difficulty': 'Zorluk',
+            'score.total': 'Puan',
+
+            'difficulty.easy': 'KOLAY',
+            'difficulty.medium': 'ORTA',
+            'difficulty.hard': 'ZOR',
+            'difficulty.extreme': 'ÇOK ZOR',
+            'level.rules': ' · {speed} hızın altında in ya da {seconds:1} sn yörüngede kal',
+            'level.best': 'En iyi: {parts}',
+            'best.closest': 'en yakın {distance}',
+            'best.fuel': 'yakıt {fuel}',
+            'best.time': 'süre {seconds:1} sn',
+            'best.assists': 'destek {count}',
+
+            'mission.flyby': '{body} yakınından geç',
+            'mission.collect': '{count} yakıt kapsülü topla ({done}/{count})',
+            'mission.gates': '{count} kapıdan geç ({done}/{count})',
+            'mission.timeLeft': ' · {seconds:1} sn',
+            'mission.land': '{body} üzerine in',
+            'mission.landFuel': '{body} üzerine en az %{pct} yakıtla in',
+            'mission.outOfTime': '{gate}. kapıdan önce süre doldu',
+            'mission.early': '{objective} tamamlanmadan {body} hedefine ulaşıldı',
+            'mission.wrongBody': '{target} yerine {body} üzerine inildi',
+            'mission.lowFuel': '%{pct} yakıtla inildi, %{needed} gerekiyordu',
+            'body.sun': 'Güneş',
+            'body.earth': 'Dünya',
+            'body.mars': 'Mars',
+            'body.saturn': 'Satürn',
+            'body.moon': 'Ay',
+
+            'announce.launch': '%{pct} güçle fırlatıldı',
+            'announce.fuelLow': 'Yakıt azaldı: %{pct} kaldı',
+            'announce.fuelEmpty': 'Yakıt bitti',
+            'announce.closest': 'Mars\'a en yakın mesafe: {distance}',
+            'announce.flare': 'Güneş patlaması geliyor',
+
+            'editor.title': 'BÖLÜM DÜZENLEYİCİ',
+            'editor.select': 'Seç',
+            'editor.addSun': '+ Güneş',
+            'editor.addPlanet': '+ Gezegen',
+            'editor.addMoon': '+ Ay',
+            'editor.addBelt': '+ Kuşak',
+            'editor.selection': 'Seçim',
+            'editor.hint': 'Düzenlemek için bir gök cismine ya da kuşağa tıkla; yerleştirmek için bir araç seçip tıkla.',
+            'editor.none': '(yok)',
+            'editor.markStart': 'Başlangıç Yap',
+            'editor.markTarget': 'Hedef Yap',
+            'editor.delete': 'Sil',
+            'editor.layoutOk': 'Yerleşim geçerli',
+            'editor.test': '▶ Deneme Uçuşu',
+            'editor.export': '⇩ Dışa Aktar',
+            'editor.import': '⇧ İçe Aktar…',
+            'editor.exit': 'Düzenleyiciden Çık',
+            'editor.back': '✎ Düzenleyiciye Dön',
+
+            'valid.root': 'kök, "levels" ve "upgrades" içeren bir nesne olmalı',
+            'valid.object': '{path} bir nesne olmalı',
+            'valid.array': '{path} bir dizi olmalı',
+            'valid.nonEmptyArray': '{path} boş olmayan bir dizi olmalı',
+            'valid.string': '{path} bir metin olmalı',
+            'valid.text': '{path} boş olmayan bir metin olmalı',
+            'valid.numberGot': '{path} bir sayı olmalı (gelen: {got})',
+            'valid.numberMin': '{path} >= {min} bir sayı olmalı (gelen: {got})',
+            'valid.positive': '{path} > 0 bir sayı olmalı (gelen: {got})',
+            'valid.wholeMin': '{path} >= {min} bir tam sayı olmalı (gelen: {got})',
+            'valid.positiveInt': '{path} pozitif bir tam sayı olmalı (gelen: {got})',
+            'valid.oneOf': '{path} şunlardan biri olmalı: {options} (gelen: {got})',
+            'valid.missing': '{path} eksik',
+            'valid.incomplete': '{path} eksik ya da tamamlanmamış',
+            'valid.levelIdTaken': '{path} {id} başka bir bölümde kullanılıyor',
+            'valid.bodyIdTaken': '{path} "{id}" başka bir gök cisminde kullanılıyor',
+            'valid.asteroidSizes': '{path}.asteroidMaxSize ({max}), asteroidMinSize değerinden ({min}) küçük',
+            'valid.seed': '{path} bir metin ya da tam sayı olmalı',
+            'valid.stars': '{path}, birincisi ikincisinden büyük olmayan [scoreFor2Stars, scoreFor3Stars] olmalı',
+            'valid.defaultLayout': 'Her bölüm kendi "layout" değerini vermiyorsa "defaultLayout" gerekli',
+            'valid.unknownUpgrade': '{path} bilinen bir yükseltme değil ({options})',
+            'valid.requires': '{path} { "thrust": 2 } gibi bir nesne olmalı',
+            'valid.requiresUpgrade': '{path} başka bir yükseltmeyi göstermeli',
+            'valid.requiresLevel': '{path} >= 1 bir seviye olmalı',
+            'valid.parentBefore': '{path} "{id}" kendinden önce listelenen bir gök cismini göstermeli',
+            'valid.notBody': '{path} "{id}" bir gök cismi kimliği değil',
+            'valid.orbitRadius': '{path} bir ana cisim verildiğinde > 0 bir sayı olmalı',
+            'valid.exactlyOne': '{path} içinde tam olarak bir "{type}" gök cismi olmalı (bulunan: {count})',
+            'valid.outerRadius': '{path} innerRadius değerinden küçük olmayan bir sayı olmalı',
+            'valid.spacing': '{path} "even" ya da "random" olmalı',
+            'valid.layoutBody': '{path} yerleşimdeki bir gök cismini göstermeli (gelen: {got})',
+            'valid.pickupCount': '{path} 1 ile toplanacak nesne sayısı arasında bir tam sayı olmalı',
+            'valid.gates': '{path} boş olmayan bir { x, y, radius? } listesi olmalı',
+            'valid.timeLimit': '{path} > 0 bir saniye değeri olmalı',
+            'valid.minFuel': '{path} 0 ile 1 arasında bir depo oranı olmalı',
+            'valid.landLast': '{path} iniş görevi, bu yüzden son hedef olmalı',
+            'valid.notRecording': 'bir Mars Shot kaydı değil',
+            'valid.recordingVersion': 'v{version} kayıt biçimi desteklenmiyor (beklenen: v1-v{max})',
+            'valid.physicsVersion': 'v{version} fiziğiyle kaydedilmiş, bu sürüm v{current} kullanıyor; birebir oynatılamaz',
+            'valid.inputs': '{path} [{fields}] dizilerinden oluşan bir liste olmalı',
+            'valid.apoapsis': '{path} periapsis değerinden küçük olmayan bir sayı olmalı (gelen: {got})',
+            'valid.wormholeLink': '{path}, "{id}" kimliğine geri bağlanan başka bir solucan deliğini göstermeli',
+            'valid.flareWidth': '{path} 0 ile 2π arasında radyan cinsinden bir açı olmalı (gelen: {got})',
+            'valid.flareTiming': '{path}.warning + duration, "every" süresine ({every} sn) sığmalı',
+
+            'alert.badJson': '{file} okunamadı: geçerli bir JSON dosyası değil.',
+            'alert.badReplay': '{file} oynatılamıyor:\n- {errors}',
+            'alert.importFailed': '{file} içe aktarılamadı: {error}',
+            'alert.badLevel': '{file} yüklenemiyor:\n- {errors}',
+            'confirm.resetProgress': 'Tüm ilerleme sıfırlansın mı? Jetonlar, yükseltmeler, açılan bölümler ve rekorlar silinecek.'
+        },
+        content: {
+            'Level 1': 'Bölüm 1',
+            'Level 2': 'Bölüm 2',
+            'Level 3': 'Bölüm 3',
+            'Level 4': 'Bölüm 4',
+            'Level 5': 'Bölüm 5',
+            'Level 6': 'Bölüm 6',
+            'Level 7': 'Bölüm 7',
+            'Level 8': 'Bölüm 8',
+            'Learn the basics of orbital mechanics': 'Yörünge mekaniğinin temellerini öğren',
+            'Avoid more obstacles on your journey': 'Yolculuğunda daha fazla engelden kaçın',
+            'Navigate through dense asteroid fields': 'Yoğun asteroit alanlarının arasından geç',
+            'The ultimate test of your piloting skills': 'Pilotluk becerilerinin en zorlu sınavı',
+            'Grand tour: swing past Saturn and refuel on the way': 'Büyük tur: Satürn\'ün yanından savrul ve yolda yakıt al',
+            'Round trip: fly the gates around the Sun and come home': 'Gidiş dönüş: Güneş\'in çevresindeki kapılardan geç ve eve dön',
+            'Comet season: dodge the comet\'s tail and the Sun\'s flares, or take the wormhole': 'Kuyruklu yıldız mevsimi: kuyruklu yıldızın kuyruğundan ve Güneş patlamalarından kaç ya da solucan deliğine gir',
+            'Event horizon: a black hole bends the starlight and nothing that falls in comes back': 'Olay ufku: kara delik yıldız ışığını büküyor ve içine düşen hiçbir şey geri dönmüyor',
+            'Fuel Tank': 'Yakıt Tankı',
+            'Increases fuel capacity per level': 'Her seviyede yakıt kapasitesini artırır',
+            'Ion Engine': 'İyon Motoru',
+            'Increases thrust power per level': 'Her seviyede itki gücünü artırır',
+            'Catapult': 'Mancınık',
+            'Increases launch force per level': 'Her seviyede fırlatma gücünü artırır',
+            'Fuel Injector': 'Yakıt Enjektörü',
+            'Burns less fuel for the same thrust': 'Aynı itki için daha az yakıt yakar',
+            'Heat Shield': 'Isı Kalkanı',
+            'Bounce off one collision per charge (not the Sun or a black hole)': 'Her hak bir çarpışmadan sekmeni sağlar (Güneş ve kara delik hariç)',
+            'RCS Thrusters': 'RCS İticileri',
+            'Thrust in any direction without turning the ship': 'Gemiyi döndürmeden her yöne itki',
+            'Landing Assist': 'İniş Yardımı',
+            'Widens the landing zone around Mars': 'Mars çevresindeki iniş bölgesini genişletir'
+        }
+    }
+};
+
+const LOCALES = Object.keys(CATALOGS);
+
+// ===================================
+// 2. LOOKUP & FORMATTING
+// ===================================
+
+// Best supported locale for a list of language tags such as navigator.languages
+// ("tr-TR" matches "tr"), or English.
+function detectLocale(languages) {
+    for (const tag of languages || []) {
+        const lang = String(tag).toLowerCase();
+        if (CATALOGS[lang]) return lang;
+        const primary = lang.split('-')[0];
+        if (CATALOGS[primary]) return primary;
+    }
+    return 'en';
+}
+
+const I18n = {
+    locale: 'en',
+    _numbers: {},   // Intl.NumberFormat by locale and decimals
+
+    setLocale(locale) { this.locale = CATALOGS[locale] ? locale : 'en'; },
+
+    // Message for `key` with its placeholders filled in; the key itself if no catalog has it.
+    t(key, params = {}) {
+        let msg = CATALOGS[this.locale].messages[key];
+        if (msg === undefined) msg = CATALOGS.en.messages[key];
+        if (msg === undefined) return key;
+        if (typeof msg === 'object') msg = msg[new Intl.PluralRules(this.locale).select(params.count)] || msg.other;
+        return msg.replace(/\{(\w+)(?::(\d))?\}/g, (match, name, digits) => {
+            if (!(name in params)) return match;
+            const value = params[name];
+            return typeof value === 'number' ? this.number(value, digits === undefined ? null : Number(digits)) : String(value);
+        });
+    },
+
+    // Level data text in the current language, or unchanged.
+    content(text) {
+        const table = CATALOGS[this.locale].content;
+        return (table && table[text]) || text;
+    },
+
+    number(value, digits = null) {
+        const key = `${this.locale}:${digits}`;
+        if (!this._numbers[key]) {
+            this._numbers[key] = new Intl.NumberFormat(this.locale, digits === null ? {} : { minimumFractionDigits: digits, maximumFractionDigits: digits });
+        }
+        return this._numbers[key].format(value === 0 ? 0 : value);   // no "-0" for negative zero
+    },
+
+    languageName(locale) { return CATALOGS[locale].name; }
+};
+
+const api = { I18n, LOCALES, detectLocale };
+if (typeof module === 'object' && module.exports) module.exports = api;
+else root.MarsI18n = api;
+
+})(typeof self !== 'undefined' ? self : this);
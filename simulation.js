@@ -0,0 +1,1024 @@
+/**
+ * MARS SHOT: Simulation Core
+ * Headless physics - bodies, thrust, fuel and collisions. No DOM, no canvas.
+ * Loaded as a plain script in the browser (window.MarsSim) or with require() in Node.
+ */
+
+(function(root) {
+
+// ===================================
+// 1. MATH & RANDOMNESS
+// ===================================
+
+class Vector {
+    constructor(x, y) { this.x = x; this.y = y; }
+    add(v) { if (v) { this.x += v.x; this.y += v.y; } }
+    sub(v) { return new Vector(this.x - v.x, this.y - v.y); }
+    mult(n) { this.x *= n; this.y *= n; }
+    mag() { return Math.sqrt(this.x * this.x + this.y * this.y); }
+    normalize() {
+        const m = this.mag();
+        if (m !== 0 && Number.isFinite(m)) { this.x /= m; this.y /= m; }
+    }
+    copy() { return new Vector(this.x, this.y); }
+    heading() { return Math.atan2(this.y, this.x); }
+}
+
+// Seeded PRNG (mulberry32) for everything that shapes a level, so a seed reproduces the
+// exact same layout. Purely cosmetic effects (stars, particles, flame) use Math.random.
+const Random = {
+    state: 0,
+    seed(value) { this.state = hashSeed(value); },
+    next() {
+        this.state = (this.state + 0x6D2B79F5) | 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    },
+    range(min, max) { return min + this.next() * (max - min); },
+    int(min, max) { return min + Math.floor(this.next() * (max - min + 1)); }
+};
+
+// FNV-1a, so both numeric and text seeds ("level-3", "banana") map onto 32 bits.
+function hashSeed(value) {
+    const str = String(value);
+    let h = 0x811c9dc5;
+    for (let i = 0; i < str.length; i++) {
+        h ^= str.charCodeAt(i);
+        h = Math.imul(h, 0x01000193);
+    }
+    return h >>> 0;
+}
+
+// ===================================
+// 2. BODIES
+// ===================================
+
+const BODY_COLORS = { sun: '#ffd700', planet: '#aaa', moon: '#ccc', saturn: '#f4d03f', target_start: '#4facfe', target_end: '#ff5e62', obstacle: '#777', pickup: '#44ff88', comet: '#bfefff', blackhole: '#ffb347', wormhole: '#b388ff' };
+
+// Body types that wreck the rocket even with a heat shield.
+const UNSHIELDABLE = ['sun', 'blackhole'];
+
+class Body {
+    // radius is in screen units already; the caller applies any scale factor
+    constructor(x, y, mass, radius, color, isStatic = false, type = 'planet') {
+        this.pos = new Vector(x, y);
+        this.vel = new Vector(0, 0);
+        this.acc = new Vector(0, 0);
+        this.mass = mass;
+        this.radius = radius;
+        this.color = color;
+        this.isStatic = isStatic;
+        this.type = type;
+        this.trail = [];
+        this.orbitCenter = null;
+        this.parentBody = null;
+        this.orbitRadius = 0;
+        this.orbitAngle = Random.next() * Math.PI * 2;
+        this.orbitSpeed = 0;
+        this.startPos = new Vector(x, y);
+        this.oscillate = false;
+        this.oscillateSpeed = 0;
+        this.oscillateDist = 0;
+        this.timeOffset = 0;
+        this.fuel = 0;
+        this.angle = 0;
+        this.age = 0;
+        this.thrusting = false;
+        this.kepler = null;        // comets: elliptical track, see attachKepler
+        this.shapeVertices = [];
+
+        if (this.type === 'obstacle') {
+            const numPoints = Random.int(6, 9);
+            for (let i = 0; i < numPoints; i++) {
+                const angle = (i / numPoints) * Math.PI * 2;
+                const r = this.radius * Random.range(0.7, 1.3);
+                this.shapeVertices.push({ x: Math.cos(angle) * r, y: Math.sin(angle) * r });
+            }
+        }
+    }
+
+    applyForce(f) {
+        const fCopy = f.copy();
+        fCopy.mult(1 / this.mass);
+        this.acc.add(fCopy);
+    }
+
+    update(tick) {
+        if (this.kepler) {
+            const k = this.kepler;
+            k.anomaly += k.speed;
+            const origin = this.parentBody ? this.parentBody : { pos: k.focus, vel: new Vector(0, 0) };
+            const s = keplerState(k);
+            this.pos.x = origin.pos.x + s.x; this.pos.y = origin.pos.y + s.y;
+            this.vel.x = origin.vel.x + s.vx; this.vel.y = origin.vel.y + s.vy;
+        } else if (this.orbitCenter) {
+            this.orbitAngle += this.orbitSpeed;
+            this.pos.x = this.orbitCenter.x + Math.cos(this.orbitAngle) * this.orbitRadius;
+            this.pos.y = this.orbitCenter.y + Math.sin(this.orbitAngle) * this.orbitRadius;
+            this.vel.x = -Math.sin(this.orbitAngle) * this.orbitRadius * this.orbitSpeed;
+            this.vel.y = Math.cos(this.orbitAngle) * this.orbitRadius * this.orbitSpeed;
+        } else if (this.parentBody) {
+            this.orbitAngle += this.orbitSpeed;
+            this.pos.x = this.parentBody.pos.x + Math.cos(this.orbitAngle) * this.orbitRadius;
+            this.pos.y = this.parentBody.pos.y + Math.sin(this.orbitAngle) * this.orbitRadius;
+            this.vel.x = this.parentBody.vel.x - Math.sin(this.orbitAngle) * this.orbitRadius * this.orbitSpeed;
+            this.vel.y = this.parentBody.vel.y + Math.cos(this.orbitAngle) * this.orbitRadius * this.orbitSpeed;
+        } else if (this.oscillate) {
+            this.pos.y = this.startPos.y + Math.sin((tick * this.oscillateSpeed) + this.timeOffset) * this.oscillateDist;
+        } else if (!this.isStatic) {
+            this.vel.add(this.acc);
+            this.pos.add(this.vel);
+        }
+        this.acc.mult(0);
+    }
+
+    recordTrail(limit) {
+        this.trail.push({ x: this.pos.x, y: this.pos.y });
+        if (this.trail.length > limit) this.trail.shift();
+    }
+}
+
+// Rotates angle `from` toward `to` by at most `maxStep`, the short way round.
+function turnToward(from, to, maxStep) {
+    let diff = to - from;
+    diff = Math.atan2(Math.sin(diff), Math.cos(diff));
+    if (Math.abs(diff) <= maxStep) return to;
+    return from + Math.sign(diff) * maxStep;
+}
+
+// Engine setting of a step input, clamped to 0-1. Inputs without one run at full throttle.
+function throttleOf(input) {
+    if (typeof input.throttle !== 'number' || !Number.isFinite(input.throttle)) return 1;
+    return Math.max(0, Math.min(1, input.throttle));
+}
+
+function lerp(a, b, t) { return new Vector(a.x + (b.x - a.x) * t, a.y + (b.y - a.y) * t); }
+
+// Where along the segment p0 -> p1 (0..1) a point first comes within `reach` of the origin,
+// or null if it never does. Starting inside only counts while still heading inward, so a
+// rocket the shield just pushed out to the surface isn't caught again.
+function segmentHit(p0, p1, reach) {
+    const dx = p1.x - p0.x, dy = p1.y - p0.y;
+    const a = dx * dx + dy * dy;
+    const b = 2 * (p0.x * dx + p0.y * dy);
+    const c = p0.x * p0.x + p0.y * p0.y - reach * reach;
+    if (c < 0) return b < 0 ? 0 : null;
+    if (a === 0) return null;
+    const disc = b * b - 4 * a * c;
+    if (disc < 0) return null;
+    const t = (-b - Math.sqrt(disc)) / (2 * a);
+    return t >= 0 && t <= 1 ? t : null;
+}
+
+// Puts a body on a circular track: fixed bodies (and the play field centre) get a fixed
+// orbitCenter, moving parents are followed through parentBody.
+function attachOrbit(body, parent, center, radius, angle, speed) {
+    if (parent && !parent.isStatic) body.parentBody = parent;
+    else body.orbitCenter = (parent ? parent.pos : center).copy();
+    body.orbitRadius = radius; body.orbitAngle = angle; body.orbitSpeed = speed;
+    const origin = body.parentBody ? body.parentBody.pos : body.orbitCenter;
+    body.pos.x = origin.x + Math.cos(angle) * radius;
+    body.pos.y = origin.y + Math.sin(angle) * radius;
+}
+
+// Comets follow an ellipse with its focus on the parent (or a fixed point): periapsis and
+// apoapsis distances, `argument` the direction of periapsis, `anomaly` the mean anomaly and
+// `speed` how far it advances per tick (negative runs clockwise).
+function attachKepler(body, parent, focus, { periapsis, apoapsis, argument, anomaly, speed }) {
+    const a = (periapsis + apoapsis) / 2;
+    body.kepler = { focus: focus.copy(), a, e: apoapsis > 0 ? (apoapsis - periapsis) / (apoapsis + periapsis) : 0, argument, anomaly, speed };
+    if (parent && !parent.isStatic) body.parentBody = parent;
+    else if (parent) body.kepler.focus = parent.pos.copy();
+    const s = keplerState(body.kepler);
+    const origin = body.parentBody ? body.parentBody.pos : body.kepler.focus;
+    body.pos.x = origin.x + s.x; body.pos.y = origin.y + s.y;
+    body.vel.x = s.vx; body.vel.y = s.vy;
+}
+
+// Position and velocity on a Kepler track relative to its focus (Newton's method on Kepler's equation).
+function keplerState(k) {
+    let E = k.e > 0.8 ? Math.PI : k.anomaly;
+    for (let i = 0; i < 12; i++) E -= (E - k.e * Math.sin(E) - k.anomaly) / (1 - k.e * Math.cos(E));
+    const cos = Math.cos(E), sin = Math.sin(E);
+    const b = k.a * Math.sqrt(1 - k.e * k.e);
+    const rate = k.speed / (1 - k.e * cos);
+    const x = k.a * (cos - k.e), y = b * sin;
+    const vx = -k.a * sin * rate, vy = b * cos * rate;
+    const ca = Math.cos(k.argument), sa = Math.sin(k.argument);
+    return { x: x * ca - y * sa, y: x * sa + y * ca, vx: vx * ca - vy * sa, vy: vx * sa + vy * ca };
+}
+
+// A comet's tail points away from the Sun (the heaviest body) and grows toward periapsis.
+// Returns { dx, dy, length, width }: unit direction, length and half-width at the far end.
+function cometTail(body, sun) {
+    const out = body.pos.sub(sun.pos);
+    const r = out.mag() || 1;
+    const near = body.periapsis > 0 ? Math.min(1, body.periapsis / r) : 1;
+    return { dx: out.x / r, dy: out.y / r, length: body.tailLength * near, width: body.radius * 2 };
+}
+
+// Solar flares of a body with a `flare` schedule (in ticks, see buildSystem): each cycle a
+// warning, then the flare itself, then calm. Returns null while calm, otherwise
+// { active, angle, width, range, progress } with progress running 0-1 through the phase.
+function flareState(body, tick) {
+    const f = body.flare;
+    if (!f || tick < f.delay) return null;
+    const cycle = Math.floor((tick - f.delay) / f.period);
+    const t = (tick - f.delay) - cycle * f.period;
+    if (t >= f.warning + f.duration) return null;
+    const active = t >= f.warning;
+    return {
+        active, angle: f.angle + cycle * f.turn, width: f.width, range: f.range,
+        progress: active ? (t - f.warning) / f.duration : t / f.warning
+    };
+}
+
+// Adds the pull of a body of `mass` at offset (dx, dy) to `acc`. Softened inside
+// minGravityDist so close passes stay finite. The rocket and n-body bodies both use it.
+function addPull(acc, dx, dy, mass, cfg) {
+    const dist = Math.sqrt(dx * dx + dy * dy);
+    if (dist === 0) return;
+    const distClamped = Math.max(dist, cfg.minGravityDist * cfg.scale);
+    const a = cfg.G * cfg.scale * mass / (distClamped * distClamped);
+    acc.x += dx / dist * a;
+    acc.y += dy / dist * a;
+}
+
+// N-body mode: takes orbiting bodies off their scripted tracks and gives them the speed of a
+// circular orbit around their parent (around the heaviest body if they circle a bare point),
+// or their layout vx/vy. Bodies with neither stay fixed and anchor the system.
+function releaseOrbits(bodies, cfg) {
+    const heaviest = heaviestBody(bodies);
+    const released = [];
+    for (const body of bodies) {
+        if (body.initialVel) {
+            body.vel = body.initialVel;
+        } else if ('orbitParent' in body) {
+            const parent = body.orbitParent || heaviest;
+            const rel = body.pos.sub(parent.pos);
+            const r = rel.mag();
+            // A body sitting on the point it circles (the heaviest circling a bare point) has no
+            // orbit to keep, so it starts at rest.
+            if (r === 0) {
+                body.vel = new Vector(0, 0);
+            } else {
+                const v = Math.sqrt(cfg.G * cfg.scale * parent.mass / r);
+                const dir = body.orbitSpeed < 0 ? -1 : 1;
+                body.vel = new Vector(parent.vel.x - rel.y / r * v * dir, parent.vel.y + rel.x / r * v * dir);
+            }
+        } else {
+            continue;
+        }
+        body.free = true;
+        body.isStatic = false;
+        body.orbitCenter = null;
+        body.parentBody = null;
+        body.kepler = null;     // a comet's track no longer describes where it goes
+        delete body.orbitParent;
+        delete body.initialVel;
+        released.push(body);
+    }
+    for (const body of released) body.acc = gravityOn(body, bodies, cfg);
+}
+
+function heaviestBody(bodies) { return bodies.reduce((a, b) => (!a || b.mass > a.mass ? b : a), null); }
+
+// What every other body's pull adds up to at this body's position.
+function gravityOn(body, bodies, cfg) {
+    const acc = new Vector(0, 0);
+    for (const other of bodies) {
+        if (other !== body) addPull(acc, other.pos.x - body.pos.x, other.pos.y - body.pos.y, other.mass, cfg);
+    }
+    return acc;
+}
+
+// Turns a level layout (see levels.json) into bodies. Seed Random first for a reproducible
+// system. world = { center: {x, y}, orbitScale, scale }.
+// With level.dynamics "nbody" the tracks are only starting points: each orbiting body also
+// remembers its orbitParent (or an explicit vx/vy) for the Simulation to turn into a velocity.
+function buildSystem(layout, level, world) {
+    const bodies = [];
+    const unit = world.orbitScale;
+    const center = new Vector(world.center.x, world.center.y);
+    const byId = {};
+    const nbody = level.dynamics === 'nbody';
+
+    layout.bodies.forEach(spec => {
+        const parent = spec.parent ? byId[spec.parent] : null;
+        const orbits = parent || spec.orbitRadius > 0;
+        const x = center.x + (spec.x || 0) * unit, y = center.y + (spec.y || 0) * unit;
+        const body = new Body(x, y, spec.mass, spec.radius * world.scale, spec.color || BODY_COLORS[spec.type], !orbits && spec.type !== 'comet', spec.type);
+        body.id = spec.id;
+        if (spec.type === 'comet') {
+            attachKepler(body, parent, new Vector(x, y), {
+                periapsis: spec.periapsis * unit, apoapsis: spec.apoapsis * unit, argument: spec.argument || 0,
+                anomaly: spec.startAngle || 0, speed: spec.orbitSpeed !== undefined ? spec.orbitSpeed : 0.004
+            });
+            body.periapsis = spec.periapsis * unit;
+            body.tailLength = (spec.tail !== undefined ? spec.tail : 80) * unit;
+            // N-body comets keep the velocity their track gives them at the start.
+            if (nbody) body.initialVel = new Vector(body.vel.x + (parent ? parent.vel.x : 0), body.vel.y + (parent ? parent.vel.y : 0));
+        } else if (orbits) {
+            const angle = spec.startAngle !== undefined ? spec.startAngle : body.orbitAngle;
+            attachOrbit(body, parent, new Vector(x, y), spec.orbitRadius * unit, angle, spec.orbitSpeed || 0);
+            if (nbody) body.orbitParent = parent;
+        }
+        if (nbody && (spec.vx !== undefined || spec.vy !== undefined)) {
+            body.initialVel = new Vector((spec.vx || 0) * unit, (spec.vy || 0) * unit);
+        }
+        // Flare timings are given in seconds, angles in radians and the reach in world units.
+        if (spec.flare) {
+            const f = spec.flare;
+            const period = Math.max(1, Math.round((f.every !== undefined ? f.every : 12) * 60));
+            body.flare = {
+                period,
+                warning: Math.max(1, Math.round((f.warning !== undefined ? f.warning : 2) * 60)),
+                duration: Math.max(1, Math.round((f.duration !== undefined ? f.duration : 1.5) * 60)),
+                delay: f.delay !== undefined ? Math.round(f.delay * 60) : period,
+                angle: f.angle || 0,
+                turn: f.turn !== undefined ? f.turn : 2.4,
+                width: f.width !== undefined ? f.width : 0.6,
+                push: (f.push !== undefined ? f.push : 0.15) * world.scale,
+                range: (f.range !== undefined ? f.range : 300) * unit
+            };
+        }
+        if (spec.type === 'wormhole') body.link = spec.link;
+        byId[spec.id] = body;
+        bodies.push(body);
+    });
+    // Wormhole mouths come in pairs that name each other.
+    bodies.forEach(b => { if (b.type === 'wormhole') b.link = (b.link && byId[b.link]) || null; });
+
+    (layout.belts || []).forEach(belt => {
+        const parent = belt.parent ? byId[belt.parent] : null;
+        const count = belt.count !== undefined ? belt.count : level.asteroidCount;
+        const minS = belt.minSize !== undefined ? belt.minSize : level.asteroidMinSize;
+        const maxS = belt.maxSize !== undefined ? belt.maxSize : level.asteroidMaxSize;
+        const minSpd = belt.minSpeed || 0, maxSpd = belt.maxSpeed !== undefined ? belt.maxSpeed : minSpd;
+        for (let i = 0; i < count; i++) {
+            const sz = Random.range(minS, maxS);
+            const a = new Body(0, 0, belt.mass !== undefined ? belt.mass : 20, sz * world.scale, belt.color || BODY_COLORS.obstacle, false, 'obstacle');
+            const r = Random.range(belt.innerRadius, belt.outerRadius) * unit;
+            const angle = belt.spacing === 'even' ? (i / count) * Math.PI * 2 : Random.next() * Math.PI * 2;
+            let spd = Random.range(minSpd, maxSpd);
+            if (belt.bidirectional && Random.next() > 0.5) spd = -spd;
+            attachOrbit(a, parent, center, r, angle, spd);
+            if (nbody) a.orbitParent = parent;
+            bodies.push(a);
+        }
+    });
+
+    // Fuel pickups of the level's mission "collect" objectives. They have no mass and are
+    // placed like bodies: fixed at x/y or orbiting a parent.
+    const objectives = level.mission && Array.isArray(level.mission.objectives) ? level.mission.objectives : [];
+    objectives.filter(o => o.type === 'collect').forEach(o => (o.pickups || []).forEach(spec => {
+        const parent = spec.parent ? byId[spec.parent] : null;
+        const orbits = parent || spec.orbitRadius > 0;
+        const x = center.x + (spec.x || 0) * unit, y = center.y + (spec.y || 0) * unit;
+        const p = new Body(x, y, 0, (spec.radius || 5) * world.scale, spec.color || BODY_COLORS.pickup, !orbits, 'pickup');
+        p.fuel = spec.fuel !== undefined ? spec.fuel : 25;
+        p.collected = false;
+        if (orbits) {
+            const angle = spec.startAngle !== undefined ? spec.startAngle : p.orbitAngle;
+            attachOrbit(p, parent, new Vector(x, y), spec.orbitRadius * unit, angle, spec.orbitSpeed || 0);
+            if (nbody) p.orbitParent = parent;
+        }
+        bodies.push(p);
+    }));
+    return bodies;
+}
+
+// ===================================
+// 3. SIMULATION
+// ===================================
+
+// Bump whenever a change alters flight results, so old recordings are refused instead of
+// replaying differently.
+const PHYSICS_VERSION = 5;
+
+const SIM_DEFAULTS = {
+    G: 0.28,
+    scale: 1,                  // screen pixels per design pixel; distances below are design pixels
+    collisionPadding: 15,
+    minGravityDist: 10,
+    launchClearance: 25,
+    fuelPerTick: 0.5,          // unless the upgrade stats say otherwise
+    turnRate: 0.2,             // radians per tick the nose can swing without RCS
+    shieldRestitution: 0.6,
+    startGraceTicks: 100,      // ticks before touching the start planet counts as a crash
+    maxSubsteps: 8,            // integrator sub-steps per tick on the closest passes
+    substepGap: 0.1,           // fraction of the gap to a massive body one sub-step may cover
+    substepMinMass: 50,        // lighter bodies (moons, asteroids) don't trigger sub-stepping
+    trackEnergy: false,        // keep the books for energyDrift() (debug readout)
+    nbody: false,              // bodies pull on each other instead of following scripted tracks
+    assistRange: 40,           // close-pass distance from a moving body's surface, times sqrt(mass / 100)
+    assistMinGain: 0.15,       // heliocentric speed a pass must add to count as a gravity assist
+    recordTrails: true,
+    trailEvery: 5,
+    rocketTrailLimit: 600,
+    bodyTrailLimit: 60,
+    center: { x: 0, y: 0 },
+    lostDistance: Infinity,
+    landingSites: [],          // ids of bodies besides the target that count as landings (missions)
+    // Orbital insertion rules, or null to count any touch of the target as a landing:
+    // { maxLandingSpeed, captureTicks, captureRadius } (speeds and distances in design pixels)
+    insertion: null
+};
+
+// Steps one flight at a fixed tick. Input per step is { thrust, angle }: whether the engine
+// fires and the heading it pushes along. Emits:
+//   'landed'  { body, rocket }       rocket touched the target (or one of config.landingSites)
+//   'orbited' { body, rocket }       rocket stayed captured by the target (insertion rules only)
+//   'crashed' { body, rocket, x, y, hardLanding, tail } rocket hit anything else (or a comet's
+//                                    tail), or the target too fast
+//   'lost'    { rocket }             rocket left the play field
+//   'closest' { distance }           new closest approach to the target
+//   'shielded' { body, rocket, x, y } the heat shield absorbed a collision
+//   'assist'  { body, deltaV, tick, x, y } a close pass sped the rocket up (also kept in sim.assists)
+//   'pickup'  { body, rocket, fuel } the rocket collected a fuel pickup
+//   'warped'  { body, exit, rocket } the rocket went into one wormhole mouth and out of the other
+//   'flare'   { body, state }        a solar flare warning started (see flareState)
+//   'aborted' { rocket, reason }     abort() ended the flight
+// The rocket is removed after a landed/orbited/crashed/lost/aborted event.
+class Simulation {
+    constructor(bodies, options = {}) {
+        this.bodies = bodies;
+        this.config = Object.assign({}, SIM_DEFAULTS, options);
+        if (this.config.nbody) releaseOrbits(bodies, this.config);
+        this._updateTails();
+        this.rocket = null;
+        this.stats = null;
+        this.tick = 0;
+        this.closestDist = Infinity;
+        this.substeps = 1;         // integrator sub-steps taken on the last tick
+        this.energyLog = null;
+        this.assists = [];
+        this.listeners = {};
+    }
+
+    on(event, handler) {
+        (this.listeners[event] = this.listeners[event] || []).push(handler);
+        return this;
+    }
+
+    emit(event, data) {
+        (this.listeners[event] || []).forEach(h => h(data));
+    }
+
+    findBody(type) { return this.bodies.find(b => b.type === type); }
+
+    // vel is the rocket's launch velocity; stats come from UpgradeSystem.getStats():
+    // { maxFuel, thrustPower, fuelPerTick?, shieldCharges?, rcs?, landingPadding? }
+    launch(vel, stats) {
+        const start = this.findBody('target_start');
+        if (!start) return null;
+        const rocket = new Body(start.pos.x, start.pos.y, 1, 4 * this.config.scale, '#fff', false, 'rocket');
+        rocket.vel = vel.copy();
+        rocket.fuel = stats.maxFuel;
+        rocket.shield = stats.shieldCharges || 0;
+        rocket.captureTicks = 0;
+        rocket.passes = [];
+        const off = vel.copy(); off.normalize(); off.mult(start.radius + this.config.launchClearance * this.config.scale);
+        rocket.pos.add(off);
+        rocket.angle = vel.heading();
+        this.rocket = rocket;
+        this.stats = stats;
+        this.closestDist = Infinity;
+        this.energyLog = null;
+        this.assists = [];
+        return rocket;
+    }
+
+    // input is { thrust, angle } plus optional throttle (0-1, default full) and aim: with aim
+    // set the nose holds input.angle while coasting instead of swinging round to the velocity.
+    step(input = { thrust: false, angle: 0 }) {
+        const cfg = this.config;
+        const rocket = this.rocket;
+        const thrusting = !!(rocket && input.thrust && rocket.fuel > 0 && throttleOf(input) > 0);
+        const thrust = thrusting ? this._thrust(input) : null;
+
+        this.tick++;
+        const recordTrails = cfg.recordTrails && this.tick % cfg.trailEvery === 0;
+        const from = this.bodies.map(b => b.pos.copy());
+        if (cfg.nbody) this._stepFreeBodies();
+        for (const b of this.bodies) {
+            if (!b.free) b.update(this.tick);
+            if (recordTrails && b.type === 'planet') b.recordTrail(cfg.bodyTrailLimit);
+            if (b.flare) {
+                const state = flareState(b, this.tick);
+                if (state && !state.active && state.progress === 0) this.emit('flare', { body: b, state });
+            }
+        }
+        this._updateTails();
+        if (!rocket) return;
+        if (!cfg.trackEnergy) this.energyLog = null;
+        else if (!this.energyLog) this._startEnergyLog();
+        if (this._integrate(thrust, from) || this._tailHit() || this._approach()) return;
+        this._trackAssists(thrust);
+
+        rocket.age++;
+        rocket.thrusting = thrusting;
+        if (!thrusting || this.stats.rcs) {
+            if (input.aim) rocket.angle = turnToward(rocket.angle, input.angle, cfg.turnRate);
+            else if (rocket.vel.mag() > 0.1) rocket.angle = turnToward(rocket.angle, rocket.vel.heading(), cfg.turnRate);
+        }
+        if (recordTrails) rocket.recordTrail(cfg.rocketTrailLimit);
+
+        const fromCenter = new Vector(rocket.pos.x - cfg.center.x, rocket.pos.y - cfg.center.y).mag();
+        if (fromCenter > cfg.lostDistance) this._finish('lost', { rocket });
+    }
+
+    // Turns the nose, burns fuel and returns the engine's acceleration for this tick.
+    _thrust(input) {
+        const cfg = this.config;
+        const rocket = this.rocket;
+        // Without RCS the engine fires along the nose, which has to swing round first.
+        let heading = input.angle;
+        if (!this.stats.rcs) heading = rocket.angle = turnToward(rocket.angle, input.angle, cfg.turnRate);
+        rocket.thrustAngle = heading;
+        // Fuel flow and thrust both scale with the throttle.
+        const throttle = throttleOf(input);
+        rocket.throttle = throttle;
+        rocket.fuel -= (this.stats.fuelPerTick !== undefined ? this.stats.fuelPerTick : cfg.fuelPerTick) * throttle;
+        if (rocket.fuel < 0) rocket.fuel = 0;
+        const acc = new Vector(Math.cos(heading), Math.sin(heading));
+        acc.mult(this.stats.thrustPower * throttle / rocket.mass);
+        return acc;
+    }
+
+    // Velocity Verlet over one tick, split into sub-steps on close passes. The bodies have
+    // already moved; `from` holds where they started, and in between they are interpolated.
+    // Returns true if the flight ended.
+    _integrate(thrust, from) {
+        const rocket = this.rocket;
+        const n = this.substeps = this._substepCount();
+        const dt = 1 / n;
+        let acc = this._acceleration(rocket.pos, from, 0, thrust);
+        for (let i = 0; i < n; i++) {
+            const start = rocket.pos.copy();
+            rocket.pos.x += (rocket.vel.x + acc.x * dt / 2) * dt;
+            rocket.pos.y += (rocket.vel.y + acc.y * dt / 2) * dt;
+            if (this.energyLog) this._logWork(start, from, i * dt, (i + 1) * dt, thrust);
+            if (this._sweep(start, from, i * dt, (i + 1) * dt)) return true;
+            const next = this._acceleration(rocket.pos, from, (i + 1) * dt, thrust);
+            rocket.vel.x += (acc.x + next.x) * dt / 2;
+            rocket.vel.y += (acc.y + next.y) * dt / 2;
+            acc = next;
+        }
+        return false;
+    }
+
+    // With config.trackEnergy the rocket's energy is compared against the work done on it by
+    // the engine, the shield and the moving bodies; whatever is left over is integration error.
+    _startEnergyLog() {
+        const potential = this._potential(this.rocket.pos, this.bodies.map(b => b.pos), 0);
+        this.energyLog = { start: this.orbitalEnergy(), depth: Math.abs(potential) || 1, work: 0 };
+    }
+
+    _logWork(start, from, f0, f1, thrust) {
+        const pos = this.rocket.pos;
+        const mid = lerp(start, pos, 0.5);
+        this.energyLog.work += this._potential(mid, from, f1) - this._potential(mid, from, f0);
+        const push = this._flarePush(mid, from, (f0 + f1) / 2, thrust ? thrust.copy() : new Vector(0, 0));
+        this.energyLog.work += push.x * (pos.x - start.x) + push.y * (pos.y - start.y);
+    }
+
+    // Enough sub-steps that no step covers more than substepGap of the way to the surface
+    // of a massive body, where gravity bends the path hardest.
+    _substepCount() {
+        const cfg = this.config;
+        const rocket = this.rocket;
+        let n = 1;
+        for (const body of this.bodies) {
+            if (body.mass < cfg.substepMinMass) continue;
+            const gap = Math.max(rocket.pos.sub(body.pos).mag() - body.radius, cfg.minGravityDist * cfg.scale);
+            n = Math.max(n, Math.ceil(this.relativeSpeed(body) / (gap * cfg.substepGap)));
+        }
+        return Math.min(n, cfg.maxSubsteps);
+    }
+
+    // Gravity (plus thrust and flares) at `pos`, with the bodies a fraction `f` of the way
+    // through the tick.
+    _acceleration(pos, from, f, thrust) {
+        const acc = thrust ? thrust.copy() : new Vector(0, 0);
+        this.bodies.forEach((body, i) => {
+            const dx = from[i].x + (body.pos.x - from[i].x) * f - pos.x;
+            const dy = from[i].y + (body.pos.y - from[i].y) * f - pos.y;
+            addPull(acc, dx, dy, body.mass, this.config);
+        });
+        return this._flarePush(pos, from, f, acc);
+    }
+
+    // Adds the outward push of every flare going off with `pos` inside its cone, strongest
+    // close to the body and fading to nothing at its range.
+    _flarePush(pos, from, f, acc) {
+        this.bodies.forEach((body, i) => {
+            const state = body.flare && flareState(body, this.tick);
+            if (!state || !state.active) return;
+            const dx = pos.x - (from[i].x + (body.pos.x - from[i].x) * f);
+            const dy = pos.y - (from[i].y + (body.pos.y - from[i].y) * f);
+            const d = Math.sqrt(dx * dx + dy * dy);
+            if (d === 0 || d > state.range) return;
+            const off = Math.atan2(Math.sin(Math.atan2(dy, dx) - state.angle), Math.cos(Math.atan2(dy, dx) - state.angle));
+            if (Math.abs(off) > state.width / 2) return;
+            const a = body.flare.push * (1 - d / state.range);
+            acc.x += dx / d * a;
+            acc.y += dy / d * a;
+        });
+        return acc;
+    }
+
+    // N-body mode: one velocity Verlet step for every free body under the others' gravity.
+    // Bodies pass through each other, and the rocket is too light to pull on them.
+    _stepFreeBodies() {
+        const cfg = this.config;
+        const free = this.bodies.filter(b => b.free);
+        for (const b of free) {
+            b.pos.x += b.vel.x + b.acc.x / 2;
+            b.pos.y += b.vel.y + b.acc.y / 2;
+        }
+        for (const b of free) {
+            const next = gravityOn(b, this.bodies, cfg);
+            b.vel.x += (b.acc.x + next.x) / 2;
+            b.vel.y += (b.acc.y + next.y) / 2;
+            b.acc = next;
+        }
+    }
+
+    // Swept collisions: finds the first body the rocket touched on its way from `start` to its
+    // current position, measured in each body's own moving frame so nothing small or fast is
+    // skipped between samples. Returns true if the flight ended.
+    _sweep(start, from, f0, f1) {
+        const cfg = this.config;
+        const rocket = this.rocket;
+        let hit = null;
+        this.bodies.forEach((body, i) => {
+            if (body.type === 'target_start' && rocket.age <= cfg.startGraceTicks) return;
+            if (body.type === 'pickup' && body.collected) return;
+            let reach = body.radius + cfg.collisionPadding * cfg.scale;
+            if (body.type === 'target_end') reach += (this.stats.landingPadding || 0) * cfg.scale;
+            const b0 = lerp(from[i], body.pos, f0), b1 = lerp(from[i], body.pos, f1);
+            const t = segmentHit(start.sub(b0), rocket.pos.sub(b1), reach);
+            if (body.type === 'pickup') {
+                if (t !== null || rocket.pos.sub(b1).mag() <= reach) this._collect(body);
+            } else if (body.type === 'wormhole' && !body.link) {
+                return;
+            } else if (t !== null && (!hit || t < hit.t)) hit = { body, reach, t, at: lerp(b0, b1, t) };
+        });
+        if (!hit) return false;
+
+        const { body, reach, at } = hit;
+        rocket.pos = lerp(start, rocket.pos, hit.t);
+        if (body.type === 'wormhole') {
+            this._warp(body);
+            return false;
+        }
+        if (body.type === 'target_end' || cfg.landingSites.includes(body.id)) {
+            if (cfg.insertion && this.relativeSpeed(body) > cfg.insertion.maxLandingSpeed * cfg.scale) {
+                this._finish('crashed', { body, rocket, x: rocket.pos.x, y: rocket.pos.y, hardLanding: true });
+            } else {
+                this._finish('landed', { body, rocket });
+            }
+            return true;
+        }
+        if (rocket.shield > 0 && !UNSHIELDABLE.includes(body.type)) {
+            const before = this.energyLog && this.orbitalEnergy();
+            this._deflect(body, at, reach);
+            if (this.energyLog) this.energyLog.work += this.orbitalEnergy() - before;
+            return false;
+        }
+        this._finish('crashed', { body, rocket, x: rocket.pos.x, y: rocket.pos.y });
+        return true;
+    }
+
+    _updateTails() {
+        const sun = heaviestBody(this.bodies);
+        for (const b of this.bodies) if (b.type === 'comet') b.tail = cometTail(b, sun);
+    }
+
+    // Touching a comet's tail wrecks the rocket, or costs one shield charge per pass through it.
+    // Returns true if the flight ended.
+    _tailHit() {
+        const rocket = this.rocket;
+        rocket.inTails = rocket.inTails || [];
+        for (const body of this.bodies) {
+            if (body.type !== 'comet') continue;
+            const { dx, dy, length, width } = body.tail;
+            const rx = rocket.pos.x - body.pos.x, ry = rocket.pos.y - body.pos.y;
+            const along = rx * dx + ry * dy;
+            const inside = along > 0 && along < length && Math.abs(rx * dy - ry * dx) < body.radius + (width - body.radius) * along / length;
+            const k = rocket.inTails.indexOf(body.id);
+            if (!inside) { if (k >= 0) rocket.inTails.splice(k, 1); continue; }
+            if (k >= 0) continue;
+            if (rocket.shield > 0) {
+                rocket.shield--;
+                rocket.inTails.push(body.id);
+                this.emit('shielded', { body, rocket, x: rocket.pos.x, y: rocket.pos.y });
+                continue;
+            }
+            this._finish('crashed', { body, rocket, x: rocket.pos.x, y: rocket.pos.y, tail: true });
+            return true;
+        }
+        return false;
+    }
+
+    // Closest approach and orbit capture around the target. Returns true if the flight ended.
+    _approach() {
+        const cfg = this.config;
+        const rocket = this.rocket;
+        const target = this.findBody('target_end');
+        if (!target) return false;
+        const d = rocket.pos.sub(target.pos).mag();
+        if (d < this.closestDist) {
+            this.closestDist = d;
+            this.emit('closest', { distance: d });
+        }
+        if (cfg.insertion) {
+            rocket.captureTicks = this.isCaptured(target, d) ? rocket.captureTicks + 1 : 0;
+            if (rocket.captureTicks >= cfg.insertion.captureTicks) {
+                this._finish('orbited', { body: target, rocket });
+                return true;
+            }
+        }
+        return false;
+    }
+
+    // Potential energy per unit mass at `pos`, with the bodies a fraction `f` through the tick.
+    _potential(pos, from, f) {
+        const cfg = this.config;
+        let potential = 0;
+        this.bodies.forEach((body, i) => {
+            const dx = from[i].x + (body.pos.x - from[i].x) * f - pos.x;
+            const dy = from[i].y + (body.pos.y - from[i].y) * f - pos.y;
+            const dist = Math.max(Math.sqrt(dx * dx + dy * dy), cfg.minGravityDist * cfg.scale);
+            potential -= cfg.G * cfg.scale * body.mass / dist;
+        });
+        return potential;
+    }
+
+    // Gravity assists: a pass starts when the rocket comes within range of a moving body and
+    // is judged when it leaves, on the speed gained relative to the heaviest body (the Sun).
+    // Whatever the engine added along the way doesn't count, and neither does climbing away
+    // from the start planet.
+    _trackAssists(thrust) {
+        const cfg = this.config;
+        const rocket = this.rocket;
+        const speed = rocket.vel.sub(heaviestBody(this.bodies).vel).mag();
+        if (thrust) {
+            const v = rocket.vel.mag() || 1;
+            const burn = (thrust.x * rocket.vel.x + thrust.y * rocket.vel.y) / v;
+            rocket.passes.forEach(p => { p.burn += burn; });
+        }
+        this.bodies.forEach((body, i) => {
+            if (body.isStatic || body.type === 'obstacle' || body.type === 'pickup' || body.type === 'wormhole') return;
+            const range = body.radius + cfg.assistRange * cfg.scale * Math.sqrt(body.mass / 100);
+            const inside = rocket.pos.sub(body.pos).mag() < range;
+            const k = rocket.passes.findIndex(p => p.index === i);
+            if (inside && k < 0) {
+                rocket.passes.push({ index: i, entry: rocket.age === 0 ? null : speed, burn: 0 });
+            } else if (!inside && k >= 0) {
+                const pass = rocket.passes.splice(k, 1)[0];
+                const gain = pass.entry === null ? 0 : speed - pass.entry - pass.burn;
+                if (gain < cfg.assistMinGain * cfg.scale) return;
+                const assist = { body, deltaV: gain, tick: this.tick, x: rocket.pos.x, y: rocket.pos.y };
+                this.assists.push(assist);
+                this.emit('assist', assist);
+            }
+        });
+    }
+
+    // Kinetic plus potential energy per unit mass of the rocket.
+    orbitalEnergy() {
+        if (!this.rocket) return null;
+        const v = this.rocket.vel.mag();
+        return v * v / 2 + this._potential(this.rocket.pos, this.bodies.map(b => b.pos), 1);
+    }
+
+    // Energy the integrator gained or lost since tracking started, as a fraction of the
+    // depth of the gravity well the rocket started in. Needs config.trackEnergy.
+    energyDrift() {
+        const log = this.energyLog;
+        if (!log || !this.rocket) return null;
+        return (this.orbitalEnergy() - log.start - log.work) / log.depth;
+    }
+
+    relativeSpeed(body) { return this.rocket.vel.sub(body.vel).mag(); }
+
+    // Bound to the body (negative orbital energy) and close enough that the Sun can't pull it away.
+    isCaptured(body, dist) {
+        const cfg = this.config;
+        if (dist > cfg.insertion.captureRadius * cfg.scale) return false;
+        const v = this.relativeSpeed(body);
+        const mu = cfg.G * cfg.scale * body.mass;
+        return v * v / 2 - mu / Math.max(dist, cfg.minGravityDist * cfg.scale) < 0;
+    }
+
+    // Heat shield: bounce off the body (centred at `at` when it was hit) instead of crashing,
+    // losing a charge.
+    _deflect(body, at, reach) {
+        const rocket = this.rocket;
+        rocket.shield--;
+        const n = rocket.pos.sub(at); n.normalize();
+        const rel = rocket.vel.sub(body.vel);
+        const vn = rel.x * n.x + rel.y * n.y;
+        if (vn < 0) {
+            const k = (1 + this.config.shieldRestitution) * vn;
+            rocket.vel.x -= k * n.x; rocket.vel.y -= k * n.y;
+        }
+        rocket.pos.x = at.x + n.x * reach;
+        rocket.pos.y = at.y + n.y * reach;
+        this.emit('shielded', { body, rocket, x: rocket.pos.x, y: rocket.pos.y });
+    }
+
+    // Out of the linked mouth on the far side, just clear of it, with the same velocity.
+    _warp(body) {
+        const rocket = this.rocket;
+        const exit = body.link;
+        const before = this.energyLog && this.orbitalEnergy();
+        const dir = rocket.vel.sub(exit.vel); dir.normalize();
+        const clear = exit.radius + this.config.collisionPadding * this.config.scale + 1;
+        rocket.pos = new Vector(exit.pos.x + dir.x * clear, exit.pos.y + dir.y * clear);
+        if (this.energyLog) this.energyLog.work += this.orbitalEnergy() - before;
+        if (this.config.recordTrails) {
+            rocket.recordTrail(this.config.rocketTrailLimit);
+            rocket.trail[rocket.trail.length - 1].jump = true;
+        }
+        this.emit('warped', { body, exit, rocket });
+    }
+
+    _collect(body) {
+        const rocket = this.rocket;
+        body.collected = true;
+        rocket.fuel = Math.min(this.stats.maxFuel, rocket.fuel + body.fuel);
+        this.emit('pickup', { body, rocket, fuel: body.fuel });
+    }
+
+    // Ends the flight from outside the physics, e.g. when a mission's time runs out.
+    abort(reason) {
+        if (this.rocket) this._finish('aborted', { rocket: this.rocket, reason });
+    }
+
+    _finish(event, data) {
+        this.emit(event, data);
+        this.rocket = null;
+    }
+
+    // Independent copy with the same bodies, rocket and tick, but no listeners or trails.
+    clone() {
+        const copies = new Map();
+        const copyBody = (b) => {
+            const c = Object.assign(Object.create(Body.prototype), b);
+            c.pos = b.pos.copy(); c.vel = b.vel.copy(); c.acc = b.acc.copy(); c.startPos = b.startPos.copy();
+            if (b.orbitCenter) c.orbitCenter = b.orbitCenter.copy();
+            if (b.passes) c.passes = b.passes.map(p => Object.assign({}, p));
+            if (b.inTails) c.inTails = b.inTails.slice();
+            if (b.kepler) c.kepler = Object.assign({}, b.kepler, { focus: b.kepler.focus.copy() });
+            c.trail = [];
+            copies.set(b, c);
+            return c;
+        };
+        const sim = new Simulation(this.bodies.map(copyBody), Object.assign({}, this.config, { recordTrails: false, trackEnergy: false }));
+        sim.bodies.forEach(c => {
+            if (c.parentBody) c.parentBody = copies.get(c.parentBody);
+            if (c.link) c.link = copies.get(c.link);
+        });
+        sim.rocket = this.rocket ? copyBody(this.rocket) : null;
+        sim.stats = this.stats;
+        sim.tick = this.tick;
+        sim.closestDist = this.closestDist;
+        return sim;
+    }
+}
+
+// ===================================
+// 4. PREDICTION
+// ===================================
+
+// Flies a copy of the simulation forward with the engine off, against every body and with
+// the planets moving. Pass { launchVel, stats } to preview a launch from the start planet,
+// or leave them out to extend the current flight. With `nodes` the planned maneuvers are
+// burned along the way. Returns null if there is nothing to fly.
+//   startTick  the sim tick the path starts from; the ticks below count from it
+//   points     sampled rocket positions (every `every` ticks; `jump` marks the first one out of a wormhole),
+//              each with the `tick` it is reached at
+//   collision  { x, y, body, tick } for the first crash, if any
+//   landing    { x, y, body, tick } if the path reaches the target
+//   closest    { x, y, distance, tick, target: {x, y} } closest approach to the target
+function predictTrajectory(sim, options) {
+    const prediction = new Prediction(sim, options);
+    prediction.advance();
+    return prediction.result;
+}
+
+// The same prediction worked through a slice at a time, so a long one can be spread over
+// several frames: advance(budget) integrates at most `budget` sub-steps and returns true
+// once `result` is complete.
+class Prediction {
+    constructor(sim, { ticks, launchVel = null, stats = null, every = 2, nodes = null }) {
+        const ghost = this.ghost = sim.clone();
+        if (launchVel) ghost.launch(launchVel, stats);
+        this.ticks = ticks;
+        this.every = every;
+        this.nodes = nodes;
+        this.i = 0;
+        this.done = !ghost.rocket;
+        this.result = null;
+        if (this.done) return;
+
+        const start = ghost.tick;
+        const result = this.result = { startTick: sim.tick, points: [Object.assign(ghost.rocket.pos.copy(), { tick: 0 })], collision: null, landing: null, closest: null };
+        ghost.on('crashed', ({ body, x, y }) => { result.collision = { x, y, body, tick: ghost.tick - start }; });
+        ghost.on('landed', ({ body, rocket }) => { result.landing = { x: rocket.pos.x, y: rocket.pos.y, body, tick: ghost.tick - start }; });
+        // The first point after a wormhole is marked so the path is drawn with a gap, not a line across.
+        this.warped = false;
+        ghost.on('warped', () => { this.warped = true; });
+        this.target = ghost.findBody('target_end');
+        this.done = !(ticks >= 1);
+    }
+
+    advance(budget = Infinity) {
+        const { ghost, result, target, every, ticks, nodes } = this;
+        let spent = 0;
+        while (!this.done && spent < budget) {
+            const i = ++this.i;
+            const last = ghost.rocket.pos.copy();
+            ghost.step((nodes && maneuverInput(ghost, nodes)) || undefined);
+            spent += ghost.substeps;
+            if (!ghost.rocket) { result.points.push(Object.assign(last, { tick: i - 1 })); this.done = true; break; }
+            const pos = ghost.rocket.pos;
+            if (i % every === 0 || i === ticks || this.warped) {
+                result.points.push(Object.assign(pos.copy(), { tick: i }, this.warped ? { jump: true } : {}));
+                this.warped = false;
+            }
+            if (target) {
+                const d = pos.sub(target.pos).mag();
+                if (!result.closest || d < result.closest.distance) {
+                    result.closest = { x: pos.x, y: pos.y, distance: d, tick: i, target: target.pos.copy() };
+                }
+            }
+            if (i >= ticks) this.done = true;
+        }
+        return this.done;
+    }
+}
+
+// Maneuver nodes: { tick, prograde, radial } plans a burn of that much Δv along the velocity
+// and sideways away from the Sun (the heaviest body), centred on the given sim tick. Burns run
+// at full thrust, so they last whole ticks, and they stay aligned as the velocity turns.
+function burnTicks(node, stats) {
+    return Math.ceil(Math.hypot(node.prograde, node.radial) / stats.thrustPower - 1e-9);
+}
+
+function burnStart(node, stats) { return node.tick - Math.floor(burnTicks(node, stats) / 2); }
+
+// Engine input for the coming step from a list of nodes, or null when none of them is burning.
+function maneuverInput(sim, nodes) {
+    const rocket = sim.rocket;
+    if (!rocket) return null;
+    for (const node of nodes) {
+        const start = burnStart(node, sim.stats);
+        if (sim.tick < start || sim.tick >= start + burnTicks(node, sim.stats)) continue;
+        const sun = heaviestBody(sim.bodies);
+        const pro = rocket.vel.sub(sun.vel); pro.normalize();
+        const out = rocket.pos.sub(sun.pos);
+        let rx = -pro.y, ry = pro.x;
+        if (rx * out.x + ry * out.y < 0) { rx = -rx; ry = -ry; }
+        const x = pro.x * node.prograde + rx * node.radial, y = pro.y * node.prograde + ry * node.radial;
+        return { thrust: true, angle: Math.atan2(y, x) };
+    }
+    return null;
+}
+
+// The conic the rocket would follow if `body` (by default the heaviest, i.e. the Sun) were the
+// only thing pulling on it, from its current position and velocity. Null without a rocket.
+//   body, e, p   the central body, eccentricity and semi-latus rectum (0 when falling straight in)
+//   angle        direction of periapsis as seen from the body
+//   periapsis    { x, y, distance } closest point to the body's centre
+//   apoapsis     { x, y, distance } farthest point, or null when the rocket will escape (e >= 1)
+function osculatingOrbit(sim, body = heaviestBody(sim.bodies)) {
+    const rocket = sim.rocket;
+    if (!rocket || !body) return null;
+    const mu = sim.config.G * sim.config.scale * body.mass;
+    const rx = rocket.pos.x - body.pos.x, ry = rocket.pos.y - body.pos.y;
+    const vx = rocket.vel.x - body.vel.x, vy = rocket.vel.y - body.vel.y;
+    const r = Math.sqrt(rx * rx + ry * ry), v2 = vx * vx + vy * vy;
+    const h = rx * vy - ry * vx, rv = rx * vx + ry * vy;
+    const ex = ((v2 - mu / r) * rx - rv * vx) / mu, ey = ((v2 - mu / r) * ry - rv * vy) / mu;
+    const e = Math.sqrt(ex * ex + ey * ey);
+    const p = h * h / mu;
+    const angle = e > 1e-9 ? Math.atan2(ey, ex) : Math.atan2(ry, rx);
+    const point = (dist, a) => ({ x: body.pos.x + Math.cos(a) * dist, y: body.pos.y + Math.sin(a) * dist, distance: dist });
+    return {
+        body, e, p, angle,
+        periapsis: point(p / (1 + e), angle),
+        apoapsis: e < 1 ? point(p / (1 - e), angle + Math.PI) : null
+    };
+}
+
+const api = { Vector, Random, hashSeed, Body, BODY_COLORS, attachOrbit, attachKepler, cometTail, flareState, buildSystem, Simulation, SIM_DEFAULTS, PHYSICS_VERSION, predictTrajectory, Prediction, osculatingOrbit, burnTicks, burnStart, maneuverInput };
+if (typeof module === 'object' && module.exports) module.exports = api;
+else root.MarsSim = api;
+
+})(typeof self !== 'undefined' ? self : this);
@@ -0,0 +1,54 @@
+/**
+ * MARS SHOT: Service worker
+ * Precaches the game so it installs to the home screen and plays offline.
+ * Bump VERSION with every release that changes any file below: the new worker downloads
+ * a fresh copy into its own cache, waits until the player accepts the in-game
+ * "update available" prompt, then deletes the old cache.
+ */
+
+const VERSION = 4;
+const CACHE_PREFIX = 'mars-shot-';
+const CACHE = `${CACHE_PREFIX}v${VERSION}`;
+
+const PRECACHE = [
+    './',
+    'index.html',
+    'game.js',
+    'simulation.js',
+    'i18n.js',
+    'styles.css',
+    'levels.json',
+    'manifest.webmanifest',
+    'icons/icon-192.png',
+    'icons/icon-512.png',
+    'icons/icon-maskable-512.png',
+    'icons/apple-touch-icon.png'
+];
+
+self.addEventListener('install', (event) => {
+    // 'reload' skips the HTTP cache so a new version never precaches stale files.
+    event.waitUntil(caches.open(CACHE).then(cache =>
+        cache.addAll(PRECACHE.map(url => new Request(url, { cache: 'reload' })))
+    ));
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(caches.keys()
+        .then(keys => Promise.all(keys
+            .filter(key => key.startsWith(CACHE_PREFIX) && key !== CACHE)
+            .map(key => caches.delete(key))))
+        .then(() => self.clients.claim()));
+});
+
+self.addEventListener('message', (event) => {
+    if (event.data && event.data.type === 'SKIP_WAITING') self.skipWaiting();
+});
+
+// Cache first, so every file comes from the same build; anything not precached goes to the network.
+self.addEventListener('fetch', (event) => {
+    const req = event.request;
+    if (req.method !== 'GET' || new URL(req.url).origin !== self.location.origin) return;
+    event.respondWith(caches.open(CACHE)
+        .then(cache => cache.match(req, { ignoreSearch: true }))
+        .then(hit => hit || fetch(req)));
+});
@@ -0,0 +1,123 @@
+'use strict';
+// Headless checks of the flight physics in simulation.js. Run with `npm test`.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Vector, Body, Simulation } = require('../simulation.js');
+
+const STATS = { maxFuel: 100, thrustPower: 0.05, fuelPerTick: 0.5 };
+
+// A massless start planet well out of the way, plus whatever the test needs.
+function makeSim(bodies = [], options = {}) {
+    const start = new Body(-5000, -5000, 0, 10, '#4facfe', true, 'target_start');
+    return new Simulation([start, ...bodies], options);
+}
+
+// Launches and then places the rocket exactly, so the start planet plays no part.
+function place(sim, pos, vel) {
+    const rocket = sim.launch(vel, STATS);
+    rocket.pos = pos.copy();
+    rocket.vel = vel.copy();
+    rocket.angle = vel.heading();
+    return rocket;
+}
+
+function record(sim, ...events) {
+    const seen = [];
+    events.forEach(name => sim.on(name, data => seen.push({ name, data })));
+    return seen;
+}
+
+test('a circular orbit keeps its radius and energy', () => {
+    const sun = new Body(0, 0, 5000, 30, '#ffd700', true, 'sun');
+    const sim = makeSim([sun]);
+    const mu = sim.config.G * sim.config.scale * sun.mass;
+    const r0 = 200;
+    const rocket = place(sim, new Vector(r0, 0), new Vector(0, Math.sqrt(mu / r0)));
+    const energy = () => rocket.vel.mag() ** 2 / 2 - mu / rocket.pos.mag();
+    const e0 = energy();
+
+    // About two revolutions.
+    for (let i = 0; i < 1000; i++) {
+        sim.step();
+        assert.ok(sim.rocket, `rocket ended the flight at tick ${sim.tick}`);
+        const r = rocket.pos.mag();
+        assert.ok(Math.abs(r - r0) / r0 < 0.01, `radius ${r.toFixed(2)} drifted at tick ${sim.tick}`);
+    }
+    assert.ok(Math.abs((energy() - e0) / e0) < 0.005, `energy went from ${e0} to ${energy()}`);
+});
+
+test('thrust burns fuel at the configured rate and stops when the tank is empty', () => {
+    const sim = makeSim();
+    const rocket = place(sim, new Vector(0, 0), new Vector(1, 0));
+    const burn = (throttle) => sim.step({ thrust: true, angle: 0, throttle });
+
+    for (let i = 0; i < 10; i++) burn(1);
+    assert.equal(rocket.fuel, STATS.maxFuel - 10 * STATS.fuelPerTick);
+    assert.ok(rocket.vel.x > 1, 'full throttle sped the rocket up');
+
+    // Half throttle burns half as much.
+    for (let i = 0; i < 10; i++) burn(0.5);
+    assert.equal(rocket.fuel, STATS.maxFuel - 15 * STATS.fuelPerTick);
+
+    while (rocket.fuel > 0) burn(1);
+    assert.equal(rocket.fuel, 0);
+    const vel = rocket.vel.copy();
+    for (let i = 0; i < 10; i++) burn(1);
+    assert.equal(rocket.thrusting, false);
+    assert.equal(rocket.fuel, 0);
+    assert.deepEqual({ x: rocket.vel.x, y: rocket.vel.y }, { x: vel.x, y: vel.y });
+});
+
+test('flying into a planet or an asteroid crashes', () => {
+    for (const type of ['planet', 'obstacle']) {
+        const body = new Body(300, 0, 0, 10, '#888', true, type);
+        const sim = makeSim([body]);
+        const seen = record(sim, 'crashed');
+        place(sim, new Vector(0, 0), new Vector(5, 0));
+        for (let i = 0; i < 100 && sim.rocket; i++) sim.step();
+        assert.equal(sim.rocket, null, `the rocket flew through the ${type}`);
+        assert.equal(seen.length, 1);
+        assert.equal(seen[0].data.body, body);
+        assert.ok(seen[0].data.x < body.pos.x, 'the crash is on the near side');
+    }
+});
+
+test('a fast rocket cannot tunnel through a planet between two ticks', () => {
+    // 100 units a tick: the samples at x = 200 and 300 both miss a planet at 250.
+    const planet = new Body(250, 0, 0, 10, '#888', true, 'planet');
+    const sim = makeSim([planet]);
+    const seen = record(sim, 'crashed');
+    place(sim, new Vector(0, 0), new Vector(100, 0));
+    for (let i = 0; i < 5 && sim.rocket; i++) sim.step();
+    assert.equal(seen.length, 1);
+    assert.equal(seen[0].data.body, planet);
+    assert.ok(Math.abs(seen[0].data.x - (planet.pos.x - planet.radius - sim.config.collisionPadding)) < 1e-6);
+});
+
+test('in n-body mode a body circling its own position starts at rest', () => {
+    // The heaviest body circling a bare point is its own orbit parent.
+    const sun = new Body(0, 0, 5000, 30, '#ffd700', false, 'sun');
+    sun.orbitParent = null;
+    const planet = new Body(200, 0, 10, 8, '#4facfe', false, 'planet');
+    planet.orbitParent = sun;
+    const sim = makeSim([sun, planet], { nbody: true });
+    assert.deepEqual({ x: sun.vel.x, y: sun.vel.y }, { x: 0, y: 0 });
+    assert.ok(planet.vel.mag() > 0, 'the planet got an orbital velocity');
+    sim.step();
+    assert.ok(Number.isFinite(sun.pos.x) && Number.isFinite(sun.pos.y), 'the sun moved to a real position');
+});
+
+test('leaving the play field loses the rocket', () => {
+    const sim = makeSim([], { lostDistance: 500 });
+    const seen = record(sim, 'lost', 'crashed');
+    const rocket = place(sim, new Vector(480, 0), new Vector(5, 0));
+
+    for (let i = 0; i < 4; i++) sim.step();
+    assert.ok(sim.rocket, 'still inside at 500');
+    assert.equal(seen.length, 0);
+
+    sim.step();
+    assert.equal(sim.rocket, null);
+    assert.deepEqual(seen.map(e => e.name), ['lost']);
+    assert.equal(seen[0].data.rocket, rocket);
+});
@@ -0,0 +1,166 @@
+/**
+ * MARS SHOT: App icon generator
+ * Rasterises the game's canvas art (Mars from Renderer._drawPlanet, the rocket from
+ * Renderer._drawRocket) into the PNG icons the web app manifest points at.
+ * Run from the repository root with `node tools/make-icons.js`; needs no packages.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+
+const OUT = path.join(__dirname, '..', 'icons');
+const SAMPLES = 4;   // supersampling per axis
+
+// [file, size, art scale]. Maskable icons keep the art inside the central safe zone.
+const ICONS = [
+    ['icon-192.png', 192, 1],
+    ['icon-512.png', 512, 1],
+    ['icon-maskable-512.png', 512, 0.75],
+    ['apple-touch-icon.png', 180, 0.9]
+];
+
+// ===================================
+// 1. COLOURS & SHAPES
+// ===================================
+
+const hex = (h) => [parseInt(h.slice(1, 3), 16), parseInt(h.slice(3, 5), 16), parseInt(h.slice(5, 7), 16)];
+const mix = (a, b, t) => a.map((v, i) => v + (b[i] - v) * t);
+const clamp01 = (v) => Math.max(0, Math.min(1, v));
+
+// Canvas-style radial gradient between two circles, for the common case of the inner circle
+// sitting inside the outer one.
+function radial(x0, y0, r0, x1, y1, r1, stops) {
+    return (x, y) => {
+        // Solve for the circle (lerped between the two) that passes through (x, y).
+        const cdx = x1 - x0, cdy = y1 - y0, dr = r1 - r0;
+        const px = x - x0, py = y - y0;
+        const a = cdx * cdx + cdy * cdy - dr * dr;
+        const b = px * cdx + py * cdy + r0 * dr;
+        const c = px * px + py * py - r0 * r0;
+        const root = Math.sqrt(Math.max(0, b * b - a * c));
+        const t = Math.abs(a) < 1e-9 ? c / (2 * b) : Math.max((b + root) / a, (b - root) / a);
+        const k = clamp01(t);
+        for (let i = 1; i < stops.length; i++) {
+            if (k <= stops[i][0]) {
+                const [p0, c0] = stops[i - 1], [p1, c1] = stops[i];
+                return mix(c0, c1, (k - p0) / (p1 - p0 || 1));
+            }
+        }
+        return stops[stops.length - 1][1];
+    };
+}
+
+function inPolygon(pts, x, y) {
+    let inside = false;
+    for (let i = 0, j = pts.length - 1; i < pts.length; j = i++) {
+        const [xi, yi] = pts[i], [xj, yj] = pts[j];
+        if ((yi > y) !== (yj > y) && x < (xj - xi) * (y - yi) / (yj - yi) + xi) inside = !inside;
+    }
+    return inside;
+}
+
+// The icon as a list of layers in a 100 x 100 box, painted in order. Each layer returns an
+// [r, g, b, a] colour (0-255, alpha 0-1) for a point, or null where it doesn't cover it.
+function scene() {
+    const layers = [];
+    const mars = { x: 66, y: 36, r: 21 };
+    const glow = radial(mars.x, mars.y, mars.r, mars.x, mars.y, mars.r * 2, [[0, hex('#ff5e62')], [1, [0, 0, 0]]]);
+    layers.push((x, y) => {
+        const d = Math.hypot(x - mars.x, y - mars.y);
+        if (d > mars.r * 2 || d < mars.r) return null;
+        return [...glow(x, y), 0.2 * (1 - (d - mars.r) / mars.r)];
+    });
+    const body = radial(mars.x - mars.r * 0.3, mars.y - mars.r * 0.3, mars.r * 0.1, mars.x, mars.y, mars.r, [[0, hex('#ff8888')], [1, hex('#aa2222')]]);
+    layers.push((x, y) => (Math.hypot(x - mars.x, y - mars.y) <= mars.r ? [...body(x, y), 1] : null));
+
+    // Dotted coast path, like the in-game prediction, curving from the rocket's nose to Mars.
+    const dots = [];
+    for (let i = 0; i < 6; i++) {
+        const t = i / 5, u = 1 - t;
+        dots.push([u * u * 42 + 2 * u * t * 44 + t * t * 47, u * u * 57 + 2 * u * t * 46 + t * t * 39]);
+    }
+    layers.push((x, y) => (dots.some(([dx, dy]) => Math.hypot(x - dx, y - dy) <= 1.3) ? [0, 210, 255, 0.8] : null));
+
+    // The rocket in its own frame: nose along +x, scaled up from its in-game size.
+    const rx = 30, ry = 72, angle = -0.9, s = 1.6;
+    const cos = Math.cos(-angle), sin = Math.sin(-angle);
+    const local = (x, y) => [((x - rx) * cos - (y - ry) * sin) / s, ((x - rx) * sin + (y - ry) * cos) / s];
+    const flame = [[-10, -2], [-24, 0], [-10, 2]];
+    const fins = [[-4, -4], [-12, -8], [-8, 0], [-12, 8], [-4, 4]];
+    layers.push((x, y) => { const [u, v] = local(x, y); return inPolygon(flame, u, v) ? [...hex('#ffaa00'), 1] : null; });
+    layers.push((x, y) => { const [u, v] = local(x, y); return (u / 10) ** 2 + (v / 4) ** 2 <= 1 ? [...hex('#eeeeee'), 1] : null; });
+    layers.push((x, y) => { const [u, v] = local(x, y); return inPolygon(fins, u, v) ? [...hex('#cc3333'), 1] : null; });
+    layers.push((x, y) => { const [u, v] = local(x, y); return ((u - 3) / 3) ** 2 + (v / 2) ** 2 <= 1 ? [...hex('#00d2ff'), 1] : null; });
+    return layers;
+}
+
+// ===================================
+// 2. RASTER & PNG
+// ===================================
+
+function render(size, artScale) {
+    const layers = scene();
+    const bg = hex('#050510');
+    const px = Buffer.alloc(size * (size * 4 + 1));
+    for (let y = 0; y < size; y++) {
+        px[y * (size * 4 + 1)] = 0;   // PNG filter byte: none
+        for (let x = 0; x < size; x++) {
+            let acc = [0, 0, 0];
+            for (let sy = 0; sy < SAMPLES; sy++) {
+                for (let sx = 0; sx < SAMPLES; sx++) {
+                    // Sample point in the 100 x 100 art box, shrunk toward the centre by artScale.
+                    const u = 50 + (((x + (sx + 0.5) / SAMPLES) / size) * 100 - 50) / artScale;
+                    const v = 50 + (((y + (sy + 0.5) / SAMPLES) / size) * 100 - 50) / artScale;
+                    let c = bg;
+                    for (const layer of layers) {
+                        const hit = layer(u, v);
+                        if (hit) c = mix(c, hit.slice(0, 3), hit[3]);
+                    }
+                    acc = acc.map((a, i) => a + c[i]);
+                }
+            }
+            const o = y * (size * 4 + 1) + 1 + x * 4;
+            acc.forEach((a, i) => { px[o + i] = Math.round(a / (SAMPLES * SAMPLES)); });
+            px[o + 3] = 255;
+        }
+    }
+    return png(size, px);
+}
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    return c >>> 0;
+});
+
+function crc32(buf) {
+    let c = 0xffffffff;
+    for (const b of buf) c = CRC_TABLE[(c ^ b) & 0xff] ^ (c >>> 8);
+    return (c ^ 0xffffffff) >>> 0;
+}
+
+function chunk(type, data) {
+    const len = Buffer.alloc(4); len.writeUInt32BE(data.length);
+    const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+    const crc = Buffer.alloc(4); crc.writeUInt32BE(crc32(body));
+    return Buffer.concat([len, body, crc]);
+}
+
+function png(size, raw) {
+    const ihdr = Buffer.alloc(13);
+    ihdr.writeUInt32BE(size, 0); ihdr.writeUInt32BE(size, 4);
+    ihdr[8] = 8; ihdr[9] = 6;   // 8-bit RGBA
+    return Buffer.concat([
+        Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+        chunk('IHDR', ihdr),
+        chunk('IDAT', zlib.deflateSync(raw, { level: 9 })),
+        chunk('IEND', Buffer.alloc(0))
+    ]);
+}
+
+fs.mkdirSync(OUT, { recursive: true });
+ICONS.forEach(([file, size, artScale]) => {
+    fs.writeFileSync(path.join(OUT, file), render(size, artScale));
+    console.log(`icons/${file} (${size}x${size})`);
+});